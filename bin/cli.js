@@ -1,4 +1,8 @@
 #!/usr/bin/env node
 
-// Simple wrapper that calls the main index.js file
-require('../index.js');
+// Simple wrapper that runs the same CLI as index.js
+require('../lib/cli')
+  .run(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  });
@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { loadQuestionnaire } = require('./questionnaire');
+const { NAME_PATTERN } = require('./variables');
+
+/**
+ * Answers files for headless generation
+ * A JSON or YAML document whose top-level keys are `projectName` plus the
+ * section keys of questions.md, each mapping question keys to answers:
+ *
+ *   projectName: Acme Portal
+ *   projectOverviewVision:
+ *     targetAudience: Property managers
+ *   technicalRequirements:
+ *     browsersSupported: [Chrome, Safari]
+ *   variables:
+ *     PACKAGE_MANAGER: pnpm
+ *
+ * YAML is a superset of JSON, so both formats go through the same parser and
+ * every key keeps its source position for error reporting.
+ */
+
+/**
+ * Derive the answers schema from the questionnaire
+ * @param {Object} questionnaire - Result of `loadQuestionnaire`
+ * @returns {Object} Schema keyed by section key
+ */
+function buildAnswersSchema(questionnaire) {
+  const sections = {};
+  questionnaire.sections.forEach(section => {
+    const questions = {};
+    section.groups.forEach(group =>
+      group.questions.forEach(q => {
+        questions[q.key] = { text: q.text, line: q.line };
+      })
+    );
+    sections[section.key] = {
+      title: section.title,
+      line: section.line,
+      questions,
+    };
+  });
+  return { file: questionnaire.file, sections };
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function isValidAnswer(value) {
+  return isScalar(value) || (Array.isArray(value) && value.every(isScalar));
+}
+
+/**
+ * Check the optional `variables` block: upper-case names to scalar values
+ */
+function validateVariables(pair, errors, at) {
+  if (!YAML.isMap(pair.value)) {
+    errors.push(
+      `${at(pair.value || pair.key)} "variables" must map variable names to values`
+    );
+    return;
+  }
+  pair.value.items.forEach(item => {
+    const name = item.key && item.key.value;
+    if (!NAME_PATTERN.test(String(name))) {
+      errors.push(
+        `${at(item.key)} invalid variable name "${name}" (expected UPPER_SNAKE_CASE)`
+      );
+    } else if (!isScalar(item.value ? item.value.toJSON() : null)) {
+      errors.push(
+        `${at(item.value || item.key)} variable "${name}" must be text`
+      );
+    }
+  });
+}
+
+/**
+ * Validate a parsed answers document against the schema
+ * @param {YAML.Document} doc - Document parsed with a LineCounter
+ * @param {YAML.LineCounter} lineCounter - Line counter used for `doc`
+ * @param {Object} schema - Result of `buildAnswersSchema`
+ * @param {string} file - Answers file path, used in messages
+ * @returns {{errors: string[], warnings: string[], missing: string[]}}
+ *   `missing` lists the unanswered sections and `section.question` keys;
+ *   `warnings` sums them up in one line
+ */
+function validateAnswersDocument(doc, lineCounter, schema, file) {
+  const errors = [];
+  const missing = [];
+  const questionsFile = path.basename(schema.file);
+  const at = node => {
+    const offset = node && node.range ? node.range[0] : 0;
+    const { line, col } = lineCounter.linePos(offset);
+    return `${file}:${line}:${col}`;
+  };
+
+  if (!YAML.isMap(doc.contents)) {
+    errors.push(`${at(doc.contents)} answers must be a mapping of sections`);
+    return { errors, warnings: [], missing };
+  }
+
+  const seenSections = new Set();
+  let hasProjectName = false;
+
+  doc.contents.items.forEach(pair => {
+    const key = pair.key && pair.key.value;
+
+    if (key === 'projectName') {
+      hasProjectName = true;
+      const value = pair.value && pair.value.toJSON();
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(
+          `${at(pair.value || pair.key)} "projectName" must be a non-empty string`
+        );
+      }
+      return;
+    }
+
+    if (key === 'variables') {
+      validateVariables(pair, errors, at);
+      return;
+    }
+
+    const section = schema.sections[key];
+    if (!section) {
+      errors.push(`${at(pair.key)} unknown key "${key}"`);
+      return;
+    }
+    seenSections.add(key);
+
+    if (!YAML.isMap(pair.value)) {
+      errors.push(
+        `${at(pair.value || pair.key)} "${key}" must map question keys to answers`
+      );
+      return;
+    }
+
+    const answered = new Set();
+    pair.value.items.forEach(item => {
+      const questionKey = item.key && item.key.value;
+      if (!section.questions[questionKey]) {
+        errors.push(
+          `${at(item.key)} unknown key "${questionKey}" in section "${key}"`
+        );
+        return;
+      }
+      answered.add(questionKey);
+
+      const value = item.value ? item.value.toJSON() : null;
+      if (!isValidAnswer(value)) {
+        errors.push(
+          `${at(item.value || item.key)} "${key}.${questionKey}" must be text or a list of text`
+        );
+      }
+    });
+
+    Object.keys(section.questions).forEach(questionKey => {
+      if (!answered.has(questionKey)) {
+        missing.push(`${key}.${questionKey}`);
+      }
+    });
+  });
+
+  if (!hasProjectName) {
+    errors.push(`${at(doc.contents)} missing required key "projectName"`);
+  }
+
+  Object.keys(schema.sections).forEach(key => {
+    if (!seenSections.has(key)) {
+      missing.push(key);
+    }
+  });
+
+  const warnings =
+    missing.length > 0
+      ? [
+          `${missing.length} unanswered section(s) and question(s) of ${questionsFile}: ${missing.join(', ')}`,
+        ]
+      : [];
+  return { errors, warnings, missing };
+}
+
+/**
+ * Read and validate a JSON or YAML answers file
+ * @param {string} file - Answers file path
+ * @returns {Promise<{answers: Object|null, errors: string[],
+ *   warnings: string[], missing: string[]}>} See `validateAnswersDocument`
+ */
+async function readAnswersFile(file) {
+  const source = await fs.readFile(file, 'utf-8');
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter, prettyErrors: false });
+
+  if (doc.errors.length > 0) {
+    return {
+      answers: null,
+      errors: doc.errors.map(error => {
+        const { line, col } = lineCounter.linePos(error.pos[0]);
+        return `${file}:${line}:${col} ${error.message.split('\n')[0]}`;
+      }),
+      warnings: [],
+      missing: [],
+    };
+  }
+
+  const schema = buildAnswersSchema(await loadQuestionnaire());
+  const { errors, warnings, missing } = validateAnswersDocument(
+    doc,
+    lineCounter,
+    schema,
+    file
+  );
+
+  return {
+    answers: errors.length === 0 ? doc.toJS() : null,
+    errors,
+    warnings,
+    missing,
+  };
+}
+
+/**
+ * Read an answers file, throwing one error that lists every problem
+ * @param {string} file - Answers file path
+ * @returns {Promise<{answers: Object, warnings: string[]}>}
+ */
+async function loadAnswersFile(file) {
+  const { answers, errors, warnings } = await readAnswersFile(file);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid answers file ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`
+    );
+  }
+  return { answers, warnings };
+}
+
+module.exports = {
+  buildAnswersSchema,
+  readAnswersFile,
+  loadAnswersFile,
+};
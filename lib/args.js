@@ -0,0 +1,103 @@
+/**
+ * Minimal command-line argument parser
+ * Supports `--flag`, `--no-flag`, `--key value`, `--key=value`, short aliases
+ * (`-o value`) and `--` to end option parsing. Kept dependency-free so the CLI
+ * runs on every Node version listed in `engines`.
+ */
+
+/**
+ * Parse an argv array against an option spec
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {Object} spec - Option spec
+ * @param {string[]} [spec.boolean] - Options that take no value
+ * @param {string[]} [spec.string] - Options that take a single value
+ * @param {string[]} [spec.array] - Options that may be repeated or comma-separated
+ * @param {string[]} [spec.multiple] - Options that may be repeated, kept verbatim
+ * @param {Object<string, string>} [spec.alias] - Short alias to option name
+ * @returns {{positionals: string[], options: Object}} Parsed arguments
+ */
+function parseArgs(argv, spec = {}) {
+  const booleans = new Set(spec.boolean || []);
+  const strings = new Set(spec.string || []);
+  const arrays = new Set(spec.array || []);
+  const multiples = new Set(spec.multiple || []);
+  const alias = spec.alias || {};
+
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      value = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      const short = arg.slice(1);
+      name = alias[short];
+      if (!name) {
+        throw new Error(`Unknown option "${arg}"`);
+      }
+    }
+
+    if (booleans.has(name)) {
+      if (value !== undefined) {
+        throw new Error(`Option "--${name}" does not take a value`);
+      }
+      options[toCamelCase(name)] = true;
+      continue;
+    }
+
+    if (name.startsWith('no-') && booleans.has(name.slice(3))) {
+      options[toCamelCase(name.slice(3))] = false;
+      continue;
+    }
+
+    if (!strings.has(name) && !arrays.has(name) && !multiples.has(name)) {
+      throw new Error(`Unknown option "--${name}"`);
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('-')) {
+        throw new Error(`Option "--${name}" requires a value`);
+      }
+      i++;
+    }
+
+    const key = toCamelCase(name);
+    if (arrays.has(name)) {
+      const values = value
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean);
+      options[key] = (options[key] || []).concat(values);
+    } else if (multiples.has(name)) {
+      options[key] = (options[key] || []).concat(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { positionals, options };
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+module.exports = { parseArgs };
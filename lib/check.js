@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { renderDocuments } = require('./generator');
+const { planTargets } = require('./targets');
+const { unifiedDiff } = require('./diff');
+
+/**
+ * Drift checks
+ * Render what `generatePRD` would write, in memory, and compare it with the
+ * files in the project, so CI can fail when generated instructions were
+ * edited by hand or not regenerated after an upgrade.
+ */
+
+/**
+ * Compare a project's instructions with freshly rendered ones
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {string} [targetDir] - Project directory
+ * @param {Object} [options] - Render options, as for `generatePRD`
+ *   (`answers`, `answersFile`, `variables`, `features`, `split`, `targets`,
+ *   `tokensFile`)
+ * @returns {Promise<Array<{file: string, status: string, diff: string}>>}
+ *   One entry per file the targets would write; `status` is `ok`,
+ *   `modified` or `missing`, and `diff` goes from the file in the project to
+ *   the generated version
+ */
+async function checkInstructions(
+  templateIds,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  const documents = await renderDocuments(templateIds, options);
+
+  return planTargets(documents, options.targets).map(({ file, content }) => {
+    const target = path.join(targetDir, file);
+    if (!fs.existsSync(target)) {
+      return {
+        file,
+        status: 'missing',
+        diff: unifiedDiff('', content, {
+          beforeLabel: `${file} (missing)`,
+          afterLabel: `${file} (generated)`,
+        }),
+      };
+    }
+
+    const current = fs.readFileSync(target, 'utf-8');
+    return {
+      file,
+      status: current === content ? 'ok' : 'modified',
+      diff: unifiedDiff(current, content, {
+        beforeLabel: `${file} (committed)`,
+        afterLabel: `${file} (generated)`,
+      }),
+    };
+  });
+}
+
+module.exports = {
+  checkInstructions,
+};
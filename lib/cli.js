@@ -0,0 +1,1332 @@
+const path = require('path');
+const inquirer = require('inquirer');
+const autocompletePrompt = require('inquirer-autocomplete-prompt');
+const chalk = require('chalk');
+const { parseArgs } = require('./args');
+const {
+  loadRegistry,
+  parseTemplateId,
+  resolveTemplate,
+  getAvailableCategories,
+  getAvailableTemplates,
+  getTemplateInfo,
+  getRegistryWarnings,
+  TAG_KINDS,
+} = require('./templates');
+const { FILTERS, searchTemplates } = require('./search');
+const { OUTPUT_FILE, composePRD } = require('./generator');
+const {
+  ANSWERS_FILE,
+  loadQuestionnaire,
+  promptQuestionnaire,
+  saveAnswers,
+} = require('./questionnaire');
+const { readAnswersFile } = require('./answers');
+const { parseVariableAssignments } = require('./variables');
+const { CONFLICT_STRATEGIES } = require('./scaffold');
+const { DESIGN_TOKENS_DIR } = require('./design-tokens');
+const { FORMATS_DIR, FORMATS, resolveFormats } = require('./formats');
+const { EXISTING_STRATEGIES } = require('./writer');
+const { DEFAULT_TARGETS, TARGETS, resolveTargets } = require('./targets');
+const { CONFIG_FILE } = require('./config');
+const { loadSettings } = require('./settings');
+const { formatStampEntry } = require('./stamps');
+const { GENERATIONS_FILE } = require('./state');
+const { findStaleOutputs, upgradeProject } = require('./upgrade');
+const { checkInstructions } = require('./check');
+const { DEFAULT_BUDGETS, lintTemplates } = require('./lint');
+const {
+  addTemplateSource,
+  removeTemplateSource,
+  updateTemplateSources,
+  listTemplateSources,
+} = require('./sources');
+const pkg = require('../package.json');
+
+inquirer.registerPrompt('autocomplete', autocompletePrompt);
+
+const ARG_SPEC = {
+  boolean: [
+    'help',
+    'version',
+    'json',
+    'interactive',
+    'questionnaire',
+    'scaffold',
+    'force',
+    'split',
+    'dry-run',
+    'design-tokens',
+  ],
+  string: [
+    'out',
+    'answers',
+    'name',
+    'on-conflict',
+    'on-existing',
+    'preset',
+    'max-bytes',
+    'max-section-lines',
+    'max-tokens',
+    'tokens',
+  ],
+  array: ['with', 'without', 'target', 'format', ...FILTERS],
+  multiple: ['var'],
+  alias: {
+    h: 'help',
+    v: 'version',
+    o: 'out',
+    i: 'interactive',
+    q: 'questionnaire',
+    s: 'scaffold',
+    f: 'force',
+    a: 'answers',
+    t: 'target',
+  },
+};
+
+const HELP = `
+${chalk.cyan.bold('Clean Vibe - PRD Generator')}
+
+Usage:
+  clean-vibe                              # Interactive mode (requires a TTY)
+  clean-vibe generate <category/template>... [--out <dir>]
+  clean-vibe generate [--preset <name>]   # Templates pinned in .cleanviberc
+  clean-vibe check <category/template>... [--out <dir>]
+  clean-vibe upgrade [--out <dir>]
+  clean-vibe list [category] [--json]
+  clean-vibe info <category/template> [--json]
+  clean-vibe search [query...] [--language <list>] [--framework <list>]
+                    [--database <list>] [--deployment <list>] [--json]
+  clean-vibe lint-template <path>... [--json]
+  clean-vibe template add <source> [--name <name>]
+  clean-vibe template remove <name>
+  clean-vibe template update [name...]
+  clean-vibe template list [--json]
+
+Commands:
+  generate   Write a template's instructions to <dir>/${OUTPUT_FILE}
+             (or the files of the chosen --target agents); several
+             templates are merged into one document. Without template
+             ids, uses the templates pinned in .cleanviberc
+  check      Exit with status 1 and print a diff when the instructions in
+             <dir> differ from what generate would write (for CI)
+  upgrade    Re-render instructions made from templates that have changed
+             since, merging the new version into local edits
+  list       List available templates, optionally within one category
+  info       Show details about a template
+  search     Find templates by name, description, tags and section
+             headings; tolerates typos such as "djngo"
+  lint-template
+             Validate a template directory, a category or a whole template
+             root (manifest, inheritance, partials, headings, anchors,
+             fences, placeholders, section markers, size budgets); exits
+             with status 1 on errors
+  template   Install, update or remove extra templates from a local
+             directory, a git repository or an npm package
+
+Options:
+  -o, --out <dir>       Target project directory (default: $OUTPUT_DIR or cwd)
+  -i, --interactive     Prompt for the template even when one is given
+  -t, --target <list>   Agent conventions to write (comma-separated, or all):
+${Object.keys(TARGETS)
+  .map(
+    name =>
+      `                          ${name.padEnd(15)} ${TARGETS[name].description}`
+  )
+  .join('\n')}
+      --split           Write sections marked with @section to their own scoped
+                        rule files, linked from the main instructions
+      --dry-run         Print what generate would write, with diffs against
+                        the existing files, without touching the filesystem
+      --format <list>   Also write the instructions to <dir>/${FORMATS_DIR}/ in
+                        other formats (comma-separated, or all):
+${Object.keys(FORMATS)
+  .map(
+    name =>
+      `                          ${name.padEnd(6)} ${FORMATS[name].description}`
+  )
+  .join('\n')}
+      --max-tokens <n>  Drop sections the templates mark as low or medium
+                        priority until the main instructions fit in about <n>
+                        tokens
+  -q, --questionnaire   Answer the PRD questionnaire (questions.md) and prepend
+                        the resulting project requirements to the instructions
+  -s, --scaffold        Also copy the template's starter files into <dir>
+      --on-conflict <skip|overwrite|error>
+                        What --scaffold does with existing files that differ
+                        (default: ask in a terminal, skip otherwise)
+  -f, --force           Overwrite local edits to generated files (and, with
+                        --scaffold, existing starter files) without asking
+      --on-existing <overwrite|keep|alongside|merge|error>
+                        What to do when a generated file has local edits
+                        (default: ask in a terminal, error otherwise;
+                        merge for upgrade)
+  -a, --answers <file>  Use questionnaire answers from a JSON or YAML file
+      --tokens <file>   Use your own W3C design tokens: each group, such as
+                        color, replaces the template's in the instructions
+                        and in ${DESIGN_TOKENS_DIR}/
+      --design-tokens   Also write the templates' design tokens to
+                        <dir>/${DESIGN_TOKENS_DIR}/ (tokens.json,
+                        variables.css, tokens.ts)
+      --var NAME=value  Set a template variable (repeatable), e.g.
+                        --var PACKAGE_MANAGER=pnpm --var NODE_VERSION=20
+      --with <list>     Turn optional template features on (comma-separated)
+      --without <list>  Turn optional template features off, e.g.
+                        --without redis,rate-limiting
+      --preset <name>   Apply a preset from .cleanviberc or the user config
+      --name <name>     Name to install a template source under (template add)
+      --max-bytes <n>   Size budget of a template's instructions for
+                        lint-template (default: ${DEFAULT_BUDGETS.maxBytes})
+      --max-section-lines <n>
+                        Line budget of each ## section for lint-template
+                        (default: ${DEFAULT_BUDGETS.maxSectionLines})
+      --category <list>, --language <list>, --framework <list>,
+      --database <list>, --deployment <list>
+                        Only search templates with one of these tags (search)
+      --json            Print machine-readable output (list, info, search,
+                        template list, lint-template)
+  -h, --help            Show this help
+  -v, --version         Show the installed version
+
+Configuration:
+  .cleanviberc (JSON or YAML, found by walking up from the current directory)
+  pins templates, targets, formats, variables, features, split, scaffold,
+  maxTokens, answers, tokens and designTokens, plus named presets; the
+  "defaults" block of the user config (${CONFIG_FILE} in $CLEAN_VIBE_HOME or
+  ~/.config/clean-vibe) holds personal defaults in the same shape.
+  Command-line flags override both.
+
+Examples:
+  clean-vibe generate fe/react --out ./app
+  clean-vibe generate fe/react+be/node-express+github/workflows
+  clean-vibe generate fe/react --answers .github/prd-answers.json
+  clean-vibe generate fe/react --var PROJECT_NAME=acme --var PACKAGE_MANAGER=pnpm
+  clean-vibe generate be/python-django --without celery
+  clean-vibe generate fe/react --scaffold --on-conflict overwrite
+  clean-vibe generate fe/react --tokens ./brand-tokens.json
+  clean-vibe generate fe/react --on-existing merge
+  clean-vibe generate fe/react+be/node-express --dry-run
+  clean-vibe generate fe/react --target copilot,claude,cursor
+  clean-vibe generate fe/react --format html,json
+  clean-vibe generate fe/react+be/node-express --target all
+  clean-vibe generate fe/react --split --target copilot,cursor
+  clean-vibe list be
+  clean-vibe info be/node-express --json
+  clean-vibe search redis --language python
+  clean-vibe template add git@github.com:acme/instructions.git#main
+  clean-vibe template add @acme/clean-vibe-templates
+`;
+
+/**
+ * Resolve the directory generated files are written into: the project
+ * holding the `.cleanviberc`, if any, unless told otherwise
+ */
+function resolveTargetDir(options, projectRoot) {
+  return path.resolve(
+    options.out || process.env.OUTPUT_DIR || projectRoot || process.cwd()
+  );
+}
+
+/**
+ * Pick a template by typing part of its name, tags or headings
+ */
+async function promptForTemplate() {
+  const { id } = await inquirer.prompt([
+    {
+      type: 'autocomplete',
+      name: 'id',
+      message: 'Select a template (type to search):',
+      pageSize: 10,
+      emptyText: 'No templates match',
+      source: (answers, input) =>
+        searchTemplates(input || '').map(result => ({
+          name: `${result.id.padEnd(22)} ${result.description}`,
+          value: result.id,
+        })),
+    },
+  ]);
+  return parseTemplateId(id);
+}
+
+/**
+ * Prompt for templates until the user stops adding layers
+ */
+async function promptForTemplates() {
+  const ids = [];
+  for (;;) {
+    const { category, template } = await promptForTemplate();
+    ids.push(`${category}/${template}`);
+
+    const { more } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'more',
+        message: 'Add another template to the same instructions file?',
+        default: false,
+      },
+    ]);
+    if (!more) return ids;
+  }
+}
+
+function hasStarterFiles(ids) {
+  return ids.some(id => {
+    const { category, template } = parseTemplateId(id);
+    return Boolean(resolveTemplate(category, template).filesDir);
+  });
+}
+
+/**
+ * Collect `--with` / `--without` into feature toggles
+ */
+function parseFeatureToggles(options) {
+  const features = {};
+  (options.with || []).forEach(name => {
+    features[name] = true;
+  });
+  (options.without || []).forEach(name => {
+    if (features[name]) {
+      throw new Error(`Feature "${name}" is both enabled and disabled`);
+    }
+    features[name] = false;
+  });
+  return features;
+}
+
+/**
+ * Combine configured feature toggles with the command-line ones; configured
+ * toggles for features the selected templates don't have are ignored, so one
+ * config can serve several templates
+ */
+function configuredFeatures(ids, configured = {}, toggles) {
+  const declared = new Set(
+    ids.flatMap(id => {
+      const { category, template } = parseTemplateId(id);
+      return Object.keys(resolveTemplate(category, template).features || {});
+    })
+  );
+  const features = {};
+  Object.keys(configured)
+    .filter(name => declared.has(name))
+    .forEach(name => {
+      features[name] = configured[name];
+    });
+  return { ...features, ...toggles };
+}
+
+/**
+ * Let the user pick the optional features of the selected templates
+ */
+async function promptForFeatures(ids) {
+  const choices = [];
+  ids.forEach(id => {
+    const { category, template } = parseTemplateId(id);
+    const { features = {} } = resolveTemplate(category, template);
+    Object.keys(features).forEach(name => {
+      if (choices.some(choice => choice.value === name)) return;
+      choices.push({
+        name: `${name} - ${features[name].description}`,
+        value: name,
+        checked: features[name].default !== false,
+      });
+    });
+  });
+  if (choices.length === 0) return {};
+
+  const { enabled } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'enabled',
+      message: 'Which optional features does your project use?',
+      choices,
+    },
+  ]);
+
+  const features = {};
+  choices.forEach(({ value }) => {
+    features[value] = enabled.includes(value);
+  });
+  return features;
+}
+
+async function promptForTargets() {
+  const { targets } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'targets',
+      message: 'Which AI agents should the instructions be written for?',
+      choices: Object.keys(TARGETS).map(name => ({
+        name: `${name} - ${TARGETS[name].description}`,
+        value: name,
+        checked: DEFAULT_TARGETS.includes(name),
+      })),
+      validate: selected =>
+        selected.length > 0 || 'Pick at least one output target',
+    },
+  ]);
+  return targets;
+}
+
+/**
+ * Ask what to do with each existing starter file that differs
+ */
+function createConflictPrompt() {
+  let always;
+  return async file => {
+    if (always) return always;
+    const { decision } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'decision',
+        message: `${file} already exists and differs from the template:`,
+        choices: [
+          { name: 'Keep my file', value: 'skip' },
+          { name: 'Overwrite it', value: 'overwrite' },
+          { name: 'Keep all existing files', value: 'skip-all' },
+          { name: 'Overwrite all existing files', value: 'overwrite-all' },
+        ],
+      },
+    ]);
+    if (decision.endsWith('-all')) {
+      always = decision.replace('-all', '');
+      return always;
+    }
+    return decision;
+  };
+}
+
+const SCAFFOLD_STATUS = {
+  created: chalk.green('+ created    '),
+  overwritten: chalk.yellow('~ overwritten'),
+  skipped: chalk.gray('- kept       '),
+  unchanged: chalk.gray('= unchanged  '),
+  conflict: chalk.red('! conflict   '),
+};
+
+/**
+ * How to handle starter files that already exist with other content
+ */
+function scaffoldConflictStrategy(options) {
+  const strategy = options.onConflict;
+  if (strategy && !CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid --on-conflict "${strategy}" (expected ${CONFLICT_STRATEGIES.join(', ')})`
+    );
+  }
+
+  let onConflict = strategy;
+  if (!onConflict) {
+    if (options.force) onConflict = 'overwrite';
+    else if (!process.stdin.isTTY) onConflict = 'skip';
+    // A dry run reports the files it would have asked about
+    else onConflict = options.dryRun ? 'error' : createConflictPrompt();
+  }
+  return onConflict;
+}
+
+/**
+ * Report each starter file of the selected templates
+ */
+function reportScaffold(results, targetDir, options) {
+  if (results.length === 0) {
+    console.log(chalk.gray('ℹ️  The selected templates have no starter files'));
+    return;
+  }
+
+  console.log(
+    options.dryRun
+      ? chalk.blue(
+          `🔍 Starter files that would be scaffolded into ${targetDir}`
+        )
+      : chalk.green(`✅ Scaffolded starter files into ${targetDir}`)
+  );
+  results.forEach(result => {
+    console.log(`   ${SCAFFOLD_STATUS[result.status]} ${result.file}`);
+    if (result.unresolved.length > 0) {
+      console.log(
+        chalk.gray(
+          `     ⚠️  unresolved placeholders: ${result.unresolved.join(', ')}`
+        )
+      );
+    }
+  });
+  if (options.dryRun) {
+    results
+      .filter(result => result.diff && result.status !== 'unchanged')
+      .forEach(result => printDiff(result.diff, Infinity));
+  }
+}
+
+const DIFF_PREVIEW_LINES = 80;
+
+function printDiff(diff, limit = DIFF_PREVIEW_LINES) {
+  const lines = diff.trimEnd().split('\n');
+  lines.slice(0, limit).forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(chalk.gray(line));
+    }
+  });
+  if (lines.length > limit) {
+    console.log(chalk.gray(`… ${lines.length - limit} more diff lines`));
+  }
+}
+
+/**
+ * Show how the generated instructions differ from the edited file and ask
+ * what to do
+ */
+async function promptForExisting({ file, diff, canMerge }) {
+  console.log(
+    chalk.yellow(
+      `\n⚠️  ${file} has local changes. Changes the new version would make:\n`
+    )
+  );
+  printDiff(diff);
+
+  const choices = [
+    { name: 'Overwrite with the generated version', value: 'overwrite' },
+    { name: 'Keep my file', value: 'keep' },
+    {
+      name: `Write the generated version to ${alongsidePath(file)}`,
+      value: 'alongside',
+    },
+  ];
+  if (canMerge) {
+    choices.push({
+      name: 'Merge the new version into my edits (three-way)',
+      value: 'merge',
+    });
+  }
+
+  const { decision } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'decision',
+      message: `What should happen to ${file}?`,
+      choices,
+      default: canMerge ? 'merge' : 'keep',
+    },
+  ]);
+  return decision;
+}
+
+/**
+ * Read an answers file, printing warnings and failing on errors
+ */
+async function loadAnswers(file) {
+  const { answers, errors, warnings } = await readAnswersFile(file);
+  warnings.forEach(warning => console.log(chalk.gray(`⚠️  ${warning}`)));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(chalk.red(`❌ ${error}`)));
+    throw new Error(`Answers file ${file} is invalid`);
+  }
+  return answers;
+}
+
+/**
+ * Accept both `a b c` and `a+b+c`
+ */
+function splitTemplateIds(args) {
+  return args.flatMap(arg => arg.split('+')).filter(Boolean);
+}
+
+/**
+ * Print one line per written instructions file
+ */
+function reportWritten(written, label, targetDir) {
+  written.forEach(result => {
+    const file = path.relative(targetDir, result.path);
+    const size = chalk.gray(` (~${result.tokens} tokens)`);
+    if (result.status === 'kept') {
+      console.log(
+        chalk.yellow(`⏭️  Kept your ${result.file}; nothing written`)
+      );
+    } else if (result.status === 'alongside') {
+      console.log(
+        chalk.green(
+          `✅ Wrote ${label} to ${file}, next to your edited ${result.file}`
+        ) + size
+      );
+    } else if (result.status === 'merged' && result.conflicts > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️  Merged ${label} into ${file} with ${result.conflicts} conflict(s); resolve the <<<<<<< markers`
+        ) + size
+      );
+    } else if (result.status === 'merged') {
+      console.log(
+        chalk.green(`✅ Merged ${label} into your edited ${file}`) + size
+      );
+    } else if (result.status === 'unchanged') {
+      console.log(chalk.gray(`= ${file} is up to date; nothing written`));
+    } else if (result.status === 'updated') {
+      console.log(chalk.green(`✅ Updated ${file} with ${label}`) + size);
+    } else if (result.status === 'overwritten') {
+      console.log(
+        chalk.yellow(
+          `⚠️  Overwrote the local changes in ${file} with ${label}`
+        ) + size
+      );
+    } else {
+      console.log(chalk.green(`✅ Wrote ${label} to ${file}`) + size);
+    }
+  });
+}
+
+const PREVIEW_STATUS = {
+  created: chalk.green('+ create   '),
+  updated: chalk.yellow('~ update   '),
+  overwritten: chalk.yellow('~ overwrite'),
+  merged: chalk.yellow('~ merge    '),
+  alongside: chalk.green('+ alongside'),
+  unchanged: chalk.gray('= unchanged'),
+  kept: chalk.gray('- keep     '),
+  conflict: chalk.red('! conflict '),
+};
+
+/**
+ * List what a dry run would do to each instructions file, then the diffs
+ */
+function reportPreview(written, label, targetDir) {
+  console.log(chalk.blue(`🔍 ${label} that would be written:`));
+  written.forEach(result => {
+    const note =
+      result.status === 'conflict'
+        ? ' has local edits; use --force or --on-existing to choose'
+        : '';
+    console.log(
+      `   ${PREVIEW_STATUS[result.status]} ${path.relative(targetDir, result.path)}${note} ${chalk.gray(`(~${result.tokens} tokens)`)}`
+    );
+  });
+  written
+    .filter(result => result.diff)
+    .forEach(result => {
+      console.log('');
+      printDiff(result.diff, Infinity);
+    });
+}
+
+/**
+ * Read a positive whole number given for an option
+ */
+function parseBudget(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`Option "--${name}" expects a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Report the sections --max-tokens dropped, and a budget still exceeded
+ */
+function reportBudget(written) {
+  const result = written.find(entry => entry.budget);
+  if (!result) return;
+  const { maxTokens, tokens, fits, removed } = result.budget;
+
+  if (removed.length > 0) {
+    console.log(
+      chalk.yellow(
+        `✂️  Dropped ${removed.length} section(s) to fit ${maxTokens} tokens:`
+      )
+    );
+    removed.forEach(section => {
+      console.log(
+        chalk.gray(
+          `   - ${section.title} (${section.template}, ${section.priority} priority, ~${section.tokens} tokens)`
+        )
+      );
+    });
+  }
+  if (!fits) {
+    console.log(
+      chalk.yellow(
+        `⚠️  The instructions are still ~${tokens} tokens, over the budget of ${maxTokens}; no more sections have a low or medium priority`
+      )
+    );
+  }
+}
+
+/**
+ * Report each design tokens file of the selected templates
+ */
+function reportDesignTokens(results, targetDir, options) {
+  if (results.length === 0) return;
+
+  console.log(
+    options.dryRun
+      ? chalk.blue('🔍 Design tokens that would be written:')
+      : chalk.green(`✅ Exported design tokens to ${DESIGN_TOKENS_DIR}/`)
+  );
+  results.forEach(result => {
+    console.log(
+      `   ${PREVIEW_STATUS[result.status]} ${path.relative(targetDir, result.path)}`
+    );
+  });
+}
+
+/**
+ * Report each file of the instructions in other formats
+ */
+function reportFormats(results, targetDir, options) {
+  console.log(
+    options.dryRun
+      ? chalk.blue('🔍 Formatted instructions that would be written:')
+      : chalk.green(`✅ Exported the instructions to ${FORMATS_DIR}/`)
+  );
+  results.forEach(result => {
+    console.log(
+      `   ${PREVIEW_STATUS[result.status]} ${path.relative(targetDir, result.path)} ${chalk.gray(`(${result.format})`)}`
+    );
+  });
+}
+
+async function generateCommand(positionals, options) {
+  const { settings, root, files } = loadSettings({ preset: options.preset });
+  files.forEach(file =>
+    console.log(chalk.gray(`⚙️  Using settings from ${file}`))
+  );
+  const targetDir = resolveTargetDir(options, root);
+  if (options.onExisting && !EXISTING_STRATEGIES.includes(options.onExisting)) {
+    throw new Error(
+      `Invalid --on-existing "${options.onExisting}" (expected ${EXISTING_STRATEGIES.join(', ')})`
+    );
+  }
+  let useQuestionnaire = options.questionnaire;
+  const toggles = parseFeatureToggles(options);
+  let features;
+  const selectedTargets = options.target || settings.targets;
+  let targets = selectedTargets && resolveTargets(selectedTargets);
+  const answersFile = options.answers || settings.answers;
+  const tokensFile = options.tokens || settings.tokens;
+  const formats = resolveFormats(options.format || settings.formats);
+  const split = options.split === undefined ? settings.split : options.split;
+  const maxTokens =
+    parseBudget(options.maxTokens, 'max-tokens') || settings.maxTokens;
+  if (options.scaffold === undefined) options.scaffold = settings.scaffold;
+  if (options.designTokens === undefined) {
+    options.designTokens = settings.designTokens;
+  }
+  let ids;
+
+  if (positionals.length > 0 && !options.interactive) {
+    ids = splitTemplateIds(positionals);
+  } else if (settings.templates && !options.interactive) {
+    ids = splitTemplateIds(settings.templates);
+  } else if (process.stdin.isTTY) {
+    console.log(chalk.blue('🚀 Clean Vibe - PRD Generator\n'));
+    console.log(
+      chalk.gray(
+        'Generate comprehensive instructions for AI agents to build well-structured applications.\n'
+      )
+    );
+    ids = await promptForTemplates();
+
+    features = configuredFeatures(ids, settings.features, toggles);
+    if (Object.keys(features).length === 0) {
+      features = await promptForFeatures(ids);
+    }
+
+    if (!targets) {
+      targets = await promptForTargets();
+    }
+
+    if (options.scaffold === undefined && hasStarterFiles(ids)) {
+      ({ scaffold: options.scaffold } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'scaffold',
+          message: 'Also copy the template starter files into the project?',
+          default: false,
+        },
+      ]));
+    }
+
+    if (useQuestionnaire === undefined && !answersFile) {
+      ({ questionnaire: useQuestionnaire } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'questionnaire',
+          message:
+            'Answer the PRD questionnaire to add project-specific requirements?',
+          default: false,
+        },
+      ]));
+    }
+  } else {
+    throw new Error(
+      'Missing template id. Usage: clean-vibe generate <category/template>, or pin "templates" in .cleanviberc'
+    );
+  }
+
+  features = features || configuredFeatures(ids, settings.features, toggles);
+
+  const names = ids.map(id => {
+    const { category, template } = parseTemplateId(id);
+    const info = getTemplateInfo(category, template);
+    return info ? info.template : id;
+  });
+
+  let answers;
+  if (answersFile) {
+    answers = await loadAnswers(answersFile);
+  } else if (useQuestionnaire) {
+    if (!process.stdin.isTTY) {
+      throw new Error('The PRD questionnaire needs an interactive terminal');
+    }
+    answers = await promptQuestionnaire(await loadQuestionnaire());
+    if (!options.dryRun) {
+      await saveAnswers(targetDir, answers);
+      console.log(chalk.green(`✅ Saved your answers to ${ANSWERS_FILE}`));
+    }
+  }
+
+  const context = {
+    answers,
+    variables: {
+      ...settings.variables,
+      ...parseVariableAssignments(options.var),
+    },
+    features,
+  };
+  const result = await composePRD(ids, targetDir, {
+    ...context,
+    answersFile,
+    tokensFile,
+    split,
+    targets,
+    maxTokens,
+    scaffold: options.scaffold,
+    designTokens: options.designTokens,
+    formats,
+    force: options.force,
+    dryRun: options.dryRun,
+    onExisting:
+      options.onExisting ||
+      (process.stdin.isTTY && !options.dryRun ? promptForExisting : 'error'),
+    onConflict: options.scaffold ? scaffoldConflictStrategy(options) : null,
+  });
+  const written = result.files;
+
+  const label = `${names.join(' + ')} instructions`;
+  if (options.dryRun) {
+    reportPreview(written, label, targetDir);
+  } else {
+    reportWritten(written, label, targetDir);
+  }
+  reportBudget(written);
+
+  if (options.scaffold) {
+    reportScaffold(result.scaffold, targetDir, options);
+  }
+  if (options.designTokens) {
+    reportDesignTokens(result.designTokens, targetDir, options);
+  }
+  if (formats.length > 0) {
+    reportFormats(result.formats, targetDir, options);
+  }
+  if (options.dryRun) {
+    console.log(
+      chalk.yellow(
+        '\nDry run: nothing was written. Run the same command without --dry-run to apply it.'
+      )
+    );
+    return 0;
+  }
+  console.log(chalk.yellow(`\nNext steps:`));
+  console.log(
+    chalk.white(
+      `1. Review the instructions in ${written.map(result => result.file).join(', ')}`
+    )
+  );
+  console.log(chalk.white(`2. Share them with your AI agent`));
+  console.log(
+    chalk.white(
+      `3. The AI agent will use these instructions to create your project\n`
+    )
+  );
+  return 0;
+}
+
+/**
+ * Print why installed templates were left out of the registry; on stderr
+ * when stdout carries JSON
+ */
+function printRegistryWarnings(options) {
+  const print = options.json ? console.error : console.log;
+  getRegistryWarnings().forEach(warning =>
+    print(chalk.yellow(`⚠️  ${warning}`))
+  );
+}
+
+function listCommand(positionals, options) {
+  const registry = loadRegistry();
+  const categories = positionals[0]
+    ? [positionals[0]]
+    : getAvailableCategories();
+
+  const templates = [];
+  categories.forEach(category => {
+    getAvailableTemplates(category).forEach(template => {
+      templates.push({
+        id: `${category}/${template}`,
+        ...getTemplateInfo(category, template),
+      });
+    });
+  });
+
+  printRegistryWarnings(options);
+  if (options.json) {
+    console.log(JSON.stringify(templates, null, 2));
+    return 0;
+  }
+
+  categories.forEach(category => {
+    console.log(chalk.cyan.bold(`\n${registry[category].name}`));
+    templates
+      .filter(t => t.id.startsWith(`${category}/`))
+      .forEach(t => {
+        console.log(`  ${chalk.green(t.id.padEnd(22))} ${t.description}`);
+      });
+  });
+  console.log('');
+  return 0;
+}
+
+/**
+ * One line listing a template's tags by kind
+ */
+function formatTags(tags) {
+  return TAG_KINDS.filter(kind => tags[kind] && tags[kind].length > 0)
+    .map(kind => `${kind}: ${tags[kind].join(', ')}`)
+    .join('; ');
+}
+
+function infoCommand(positionals, options) {
+  if (!positionals[0]) {
+    throw new Error(
+      'Missing template id. Usage: clean-vibe info <category/template>'
+    );
+  }
+
+  const { category, template } = parseTemplateId(positionals[0]);
+  const info = getTemplateInfo(category, template);
+  if (!info) {
+    throw new Error(`Template "${positionals[0]}" not found`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ id: positionals[0], ...info }, null, 2));
+    return 0;
+  }
+
+  console.log(
+    chalk.cyan.bold(`\n${info.template}`) + chalk.gray(` (${positionals[0]})`)
+  );
+  console.log(`  Category:    ${info.category}`);
+  console.log(`  Description: ${info.description}`);
+  console.log(`  Source:      ${info.source}`);
+  if (info.extends) {
+    console.log(`  Extends:     ${info.extends}`);
+  }
+  const tags = formatTags(info.tags);
+  if (tags) {
+    console.log(`  Tags:        ${tags}`);
+  }
+  console.log(
+    `  Size:        ~${info.tokens} tokens ${chalk.gray(`(${info.chars} characters)`)}`
+  );
+
+  const names = Object.keys(info.variables);
+  if (names.length > 0) {
+    console.log(`  Variables:`);
+    names.forEach(name => {
+      const { description, default: value } = info.variables[name];
+      console.log(
+        `    ${chalk.green(name.padEnd(20))} ${description} ${chalk.gray(`(default: ${value})`)}`
+      );
+    });
+  }
+
+  const features = Object.keys(info.features);
+  if (features.length > 0) {
+    console.log(`  Features:`);
+    features.forEach(name => {
+      const { description, default: enabled } = info.features[name];
+      console.log(
+        `    ${chalk.green(name.padEnd(20))} ${description} ${chalk.gray(enabled === false ? '(off by default)' : '(on by default)')}`
+      );
+    });
+  }
+
+  if (info.sections.length > 0) {
+    console.log(`  Sections:`);
+    info.sections.forEach(section => {
+      const priority =
+        section.priority === 'high' ? '' : `, ${section.priority} priority`;
+      console.log(
+        `    ${`~${section.tokens}`.padStart(6)}  ${section.title} ${chalk.gray(`(#${section.anchor}${priority})`)}`
+      );
+    });
+  }
+
+  if (info.files.length > 0) {
+    console.log(`  Starter files (--scaffold):`);
+    info.files.forEach(file => console.log(`    ${file}`));
+  }
+  console.log('');
+  return 0;
+}
+
+function searchCommand(positionals, options) {
+  const query = positionals.join(' ');
+  const filters = {};
+  FILTERS.forEach(key => {
+    if (options[key]) filters[key] = options[key];
+  });
+  const results = searchTemplates(query, filters);
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return 0;
+  }
+
+  const criteria = [
+    query && `"${query}"`,
+    ...Object.keys(filters).map(key => `${key} ${filters[key].join('|')}`),
+  ].filter(Boolean);
+  if (results.length === 0) {
+    console.log(
+      chalk.yellow(
+        `No templates match ${criteria.join(', ')}. Run "clean-vibe list" to see them all.`
+      )
+    );
+    return 0;
+  }
+
+  console.log(
+    chalk.cyan.bold(
+      `\n🔎 ${results.length} template(s)${criteria.length > 0 ? ` matching ${criteria.join(', ')}` : ''}`
+    )
+  );
+  results.forEach(result => {
+    console.log(`  ${chalk.green(result.id.padEnd(22))} ${result.description}`);
+    const details = [
+      formatTags(result.tags),
+      result.matches.length > 0 && `matched ${result.matches.join(', ')}`,
+    ].filter(Boolean);
+    if (details.length > 0) {
+      console.log(`  ${''.padEnd(22)} ${chalk.gray(details.join(' · '))}`);
+    }
+  });
+  console.log('');
+  return 0;
+}
+
+function formatTemplates(templates) {
+  return templates.length > 0 ? templates.join(', ') : 'none';
+}
+
+async function templateCommand(positionals, options) {
+  const [action, ...args] = positionals;
+
+  if (action === 'add') {
+    if (!args[0]) {
+      throw new Error(
+        'Missing source. Usage: clean-vibe template add <directory|git-url|npm-package>'
+      );
+    }
+    const source = await addTemplateSource(args[0], { name: options.name });
+    const version = source.version ? ` ${source.version}` : '';
+    console.log(
+      chalk.green(
+        `✅ Installed ${source.name} (${source.type}${version}) with templates: ${formatTemplates(source.templates)}`
+      )
+    );
+    return 0;
+  }
+
+  if (action === 'remove') {
+    if (!args[0]) {
+      throw new Error('Missing name. Usage: clean-vibe template remove <name>');
+    }
+    await removeTemplateSource(args[0]);
+    console.log(chalk.green(`✅ Removed ${args[0]}`));
+    return 0;
+  }
+
+  if (action === 'update') {
+    const updated = await updateTemplateSources(args);
+    if (updated.length === 0) {
+      console.log(chalk.gray('No template sources installed.'));
+    }
+    updated.forEach(source => {
+      const change =
+        source.version && source.version !== source.previousVersion
+          ? ` ${source.previousVersion || '?'} → ${source.version}`
+          : '';
+      console.log(
+        chalk.green(
+          `✅ Updated ${source.name}${change} with templates: ${formatTemplates(source.templates)}`
+        )
+      );
+    });
+    return 0;
+  }
+
+  if (action === 'list') {
+    const sources = listTemplateSources();
+    if (options.json) {
+      console.log(JSON.stringify(sources, null, 2));
+      return 0;
+    }
+    if (sources.length === 0) {
+      console.log(chalk.gray('No template sources installed.'));
+    }
+    sources.forEach(source => {
+      console.log(
+        `  ${chalk.green(source.name.padEnd(22))} ${source.type} ${chalk.gray(source.source)}`
+      );
+      console.log(`  ${''.padEnd(22)} ${formatTemplates(source.templates)}`);
+    });
+    return 0;
+  }
+
+  throw new Error('Usage: clean-vibe template <add|remove|update|list> [...]');
+}
+
+function lintTemplateCommand(positionals, options) {
+  if (positionals.length === 0) {
+    throw new Error(
+      'Missing template path. Usage: clean-vibe lint-template <path>...'
+    );
+  }
+
+  const budgets = {};
+  const maxBytes = parseBudget(options.maxBytes, 'max-bytes');
+  const maxSectionLines = parseBudget(
+    options.maxSectionLines,
+    'max-section-lines'
+  );
+  if (maxBytes) budgets.maxBytes = maxBytes;
+  if (maxSectionLines) budgets.maxSectionLines = maxSectionLines;
+
+  const results = positionals.flatMap(target =>
+    lintTemplates(target, { budgets })
+  );
+  const count = severity =>
+    results.reduce(
+      (sum, result) =>
+        sum +
+        result.problems.filter(problem => problem.severity === severity).length,
+      0
+    );
+
+  printRegistryWarnings(options);
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return count('error') > 0 ? 1 : 0;
+  }
+
+  results.forEach(({ id, problems }) => {
+    if (problems.length === 0) {
+      console.log(chalk.green(`✅ ${id}`));
+      return;
+    }
+    const failed = problems.some(problem => problem.severity === 'error');
+    console.log(failed ? chalk.red(`❌ ${id}`) : chalk.yellow(`⚠️  ${id}`));
+    problems.forEach(({ file, line, severity, rule, message }) => {
+      const at = path.relative(process.cwd(), file) + (line ? `:${line}` : '');
+      const label =
+        severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+      console.log(`   ${at}  ${label} ${message} ${chalk.gray(`(${rule})`)}`);
+    });
+  });
+
+  const errors = count('error');
+  const warnings = count('warning');
+  console.log(
+    `\n${results.length} template(s) checked: ${errors} error(s), ${warnings} warning(s)`
+  );
+  return errors > 0 ? 1 : 0;
+}
+
+async function checkCommand(positionals, options) {
+  const { settings, root } = loadSettings({ preset: options.preset });
+  const targetDir = resolveTargetDir(options, root);
+  let ids;
+  if (positionals.length > 0) {
+    ids = splitTemplateIds(positionals);
+  } else if (settings.templates) {
+    ids = splitTemplateIds(settings.templates);
+  } else {
+    throw new Error(
+      'Missing template id. Usage: clean-vibe check <category/template>, or pin "templates" in .cleanviberc'
+    );
+  }
+
+  const answersFile = options.answers || settings.answers;
+  const results = await checkInstructions(ids, targetDir, {
+    answers: answersFile ? await loadAnswers(answersFile) : undefined,
+    tokensFile: options.tokens || settings.tokens,
+    variables: {
+      ...settings.variables,
+      ...parseVariableAssignments(options.var),
+    },
+    features: configuredFeatures(
+      ids,
+      settings.features,
+      parseFeatureToggles(options)
+    ),
+    split: options.split === undefined ? settings.split : options.split,
+    targets: options.target || settings.targets,
+    maxTokens:
+      parseBudget(options.maxTokens, 'max-tokens') || settings.maxTokens,
+  });
+
+  results.forEach(({ file, status, diff }) => {
+    if (status === 'ok') {
+      console.log(chalk.green(`✅ ${file} is up to date`));
+      return;
+    }
+    console.log(
+      chalk.red(
+        status === 'missing'
+          ? `❌ ${file} is missing`
+          : `❌ ${file} differs from the generated instructions`
+      )
+    );
+    printDiff(diff, Infinity);
+  });
+
+  const drifted = results.filter(result => result.status !== 'ok');
+  if (drifted.length > 0) {
+    console.log(
+      chalk.red(
+        `\n${drifted.length} file(s) out of date. Run "clean-vibe generate" with the same options to regenerate them.`
+      )
+    );
+    return 1;
+  }
+  return 0;
+}
+
+async function upgradeCommand(positionals, options) {
+  const { root } = loadSettings();
+  const targetDir = resolveTargetDir(options, root);
+  const outputs = await findStaleOutputs(targetDir);
+
+  if (outputs.length === 0) {
+    console.log(
+      chalk.gray(
+        `No generated instructions are recorded in ${GENERATIONS_FILE}; run clean-vibe generate first.`
+      )
+    );
+    return 0;
+  }
+  const stale = outputs.filter(output => output.stale);
+  if (stale.length === 0) {
+    console.log(chalk.green('✅ All generated instructions are up to date'));
+    return 0;
+  }
+
+  stale.forEach(output => {
+    console.log(chalk.cyan(`📦 ${output.files.join(', ')}`));
+    output.templates
+      .filter(template => template.changed)
+      .forEach(({ id, from, to }) => {
+        console.log(
+          `   ${id}: ${formatStampEntry(from)} → ${
+            to ? formatStampEntry(to) : chalk.red('no longer installed')
+          }`
+        );
+      });
+  });
+
+  const upgraded = await upgradeProject(targetDir, {
+    force: options.force,
+    onExisting: options.onExisting,
+  });
+  upgraded.forEach(output => {
+    console.log(chalk.yellow(`\nUpstream changes to ${output.files[0]}:`));
+    output.diffs.forEach(({ diff }) => printDiff(diff));
+    reportWritten(
+      output.results,
+      `${output.templates.map(template => template.id).join(' + ')} instructions`,
+      targetDir
+    );
+    output.exports.forEach(result => {
+      console.log(
+        `   ${PREVIEW_STATUS[result.status]} ${path.relative(targetDir, result.path)}`
+      );
+    });
+  });
+  return 0;
+}
+
+const COMMANDS = {
+  generate: generateCommand,
+  check: checkCommand,
+  upgrade: upgradeCommand,
+  list: listCommand,
+  info: infoCommand,
+  search: searchCommand,
+  'lint-template': lintTemplateCommand,
+  template: templateCommand,
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv) {
+  try {
+    const { positionals, options } = parseArgs(argv, ARG_SPEC);
+
+    if (options.version) {
+      console.log(pkg.version);
+      return 0;
+    }
+
+    const [command, ...rest] = positionals;
+
+    if (options.help || command === 'help') {
+      console.log(HELP);
+      return 0;
+    }
+
+    if (!command) {
+      // Bare `clean-vibe` keeps the original prompt flow when a user is present
+      if (process.stdin.isTTY) {
+        return await generateCommand([], options);
+      }
+      console.log(HELP);
+      return 0;
+    }
+
+    if (!COMMANDS[command]) {
+      throw new Error(
+        `Unknown command "${command}". Run "clean-vibe --help" for usage.`
+      );
+    }
+
+    return await COMMANDS[command](rest, options);
+  } catch (error) {
+    console.error(chalk.red('❌ Error:'), error.message);
+    return 1;
+  }
+}
+
+module.exports = { run };
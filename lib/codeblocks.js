@@ -0,0 +1,221 @@
+const { spawnSync } = require('child_process');
+const babel = require('@babel/parser');
+const YAML = require('yaml');
+const { parseFences } = require('./markdown');
+const { DIRECTIVE_PATTERN } = require('./conditionals');
+const { substituteVariables } = require('./variables');
+
+/**
+ * Code block validation
+ * Agents copy the examples in instructions almost verbatim, so the fenced
+ * blocks of a template should at least parse. Blocks are checked by the
+ * language of their info string: TypeScript and JavaScript with Babel's
+ * parser, JSON and YAML in-process, Python with the local interpreter when
+ * one is installed. Other languages are not checked.
+ *
+ * Blocks are checked as a template author sees them: every conditional block
+ * kept (directive lines blanked so line numbers still match) and placeholders
+ * filled with their defaults.
+ */
+
+const PYTHON_COMMANDS = ['python3', 'python'];
+// Reads a JSON list of sources on stdin, prints a JSON list of errors
+const PYTHON_CHECK = [
+  'import ast, json, sys',
+  'errors = []',
+  'for source in json.load(sys.stdin):',
+  '    try:',
+  '        ast.parse(source)',
+  '        errors.append(None)',
+  '    except SyntaxError as error:',
+  "        errors.append({'line': error.lineno or 1, 'message': error.msg})",
+  'print(json.dumps(errors))',
+].join('\n');
+
+/**
+ * Parse with Babel, returning the first syntax error
+ * @returns {{line: number, message: string}|null}
+ */
+function parseScript(code, plugins) {
+  try {
+    babel.parse(code, {
+      sourceType: 'module',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      plugins,
+    });
+    return null;
+  } catch (error) {
+    return {
+      line: error.loc ? error.loc.line : 1,
+      // Babel appends the position, which is reported separately
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+    };
+  }
+}
+
+function checkTypeScript(code) {
+  // Blocks labelled typescript often hold TSX; fall back for `<T>` casts
+  const error = parseScript(code, ['typescript', 'jsx']);
+  return error && parseScript(code, ['typescript']) ? error : null;
+}
+
+function checkJavaScript(code) {
+  return parseScript(code, ['jsx']);
+}
+
+function checkJson(code) {
+  try {
+    JSON.parse(code);
+    return null;
+  } catch (error) {
+    // Node reports a character offset (and, in newer versions, a line)
+    const line = error.message.match(/line (\d+)/);
+    const position = error.message.match(/position (\d+)/);
+    return {
+      line: line
+        ? Number(line[1])
+        : position
+          ? code.slice(0, Number(position[1])).split('\n').length
+          : 1,
+      message: error.message.replace(/\s*(in JSON )?at position.*$/, ''),
+    };
+  }
+}
+
+function checkYaml(code) {
+  const lineCounter = new YAML.LineCounter();
+  for (const document of YAML.parseAllDocuments(code, { lineCounter })) {
+    if (document.errors.length > 0) {
+      const [error] = document.errors;
+      return {
+        line: lineCounter.linePos(error.pos[0]).line,
+        message: error.message
+          .split('\n')[0]
+          .replace(/ at line \d+, column \d+:?$/, ''),
+      };
+    }
+  }
+  return null;
+}
+
+const CHECKERS = {
+  typescript: checkTypeScript,
+  ts: checkTypeScript,
+  tsx: checkTypeScript,
+  javascript: checkJavaScript,
+  js: checkJavaScript,
+  jsx: checkJavaScript,
+  mjs: checkJavaScript,
+  cjs: checkJavaScript,
+  json: checkJson,
+  yaml: checkYaml,
+  yml: checkYaml,
+};
+const PYTHON_LANGUAGES = ['python', 'py'];
+
+/**
+ * Check Python sources in one interpreter run
+ * @returns {Array<{line: number, message: string}|null>|null} null when no
+ *   interpreter is installed
+ */
+function checkPython(sources) {
+  for (const command of PYTHON_COMMANDS) {
+    const result = spawnSync(command, ['-c', PYTHON_CHECK], {
+      input: JSON.stringify(sources),
+      encoding: 'utf-8',
+    });
+    if (result.error && result.error.code === 'ENOENT') continue;
+    if (result.error || result.status !== 0) {
+      throw new Error(
+        `Could not check Python code blocks with ${command}: ${
+          result.error ? result.error.message : result.stderr.trim()
+        }`
+      );
+    }
+    return JSON.parse(result.stdout);
+  }
+  return null;
+}
+
+/**
+ * Blank directive lines and fill placeholders without moving any line
+ */
+function prepareCode(code, variables) {
+  const values = {};
+  Object.keys(variables).forEach(name => {
+    values[name] =
+      variables[name].default !== undefined
+        ? String(variables[name].default)
+        : name;
+  });
+  return code
+    .split('\n')
+    .map(line =>
+      DIRECTIVE_PATTERN.test(line)
+        ? ''
+        : substituteVariables(line, values).content
+    )
+    .join('\n');
+}
+
+/**
+ * Check that the fenced code blocks of a document parse
+ * @param {string} content - Markdown source
+ * @param {Object} [options]
+ * @param {Object} [options.variables] - Variable declarations of the template,
+ *   whose defaults fill the placeholders
+ * @returns {{errors: Array<{line: number, language: string, message: string}>,
+ *   skipped: string[]}} `line` is the 1-based line in `content`; `skipped`
+ *   lists languages that could not be checked here (Python without an
+ *   interpreter)
+ */
+function validateCodeBlocks(content, options = {}) {
+  const errors = [];
+  const skipped = [];
+  const python = [];
+
+  parseFences(content).forEach(fence => {
+    // Unclosed fences are reported by the linter's own rule
+    if (!fence.closed) return;
+    const language = fence.info.split(/\s+/)[0].toLowerCase();
+    const code = prepareCode(fence.code, options.variables || {});
+    if (PYTHON_LANGUAGES.includes(language)) {
+      python.push({ fence, language, code });
+      return;
+    }
+    const check = CHECKERS[language];
+    const error = check ? check(code) : null;
+    if (error) {
+      errors.push({
+        line: fence.line + error.line,
+        language,
+        message: error.message,
+      });
+    }
+  });
+
+  if (python.length > 0) {
+    const results = checkPython(python.map(block => block.code));
+    if (!results) {
+      skipped.push('python');
+    } else {
+      results.forEach((error, index) => {
+        if (!error) return;
+        const { fence, language } = python[index];
+        errors.push({
+          line: fence.line + error.line,
+          language,
+          message: error.message,
+        });
+      });
+    }
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { errors, skipped };
+}
+
+module.exports = {
+  validateCodeBlocks,
+};
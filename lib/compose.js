@@ -0,0 +1,172 @@
+const {
+  eachLine,
+  parseHeading,
+  parseHeadings,
+  parseSections,
+  shiftHeadings,
+  buildToc,
+  createSlugger,
+} = require('./markdown');
+
+const COMPOSED_TITLE = 'Project Instructions';
+const TOC_TITLE = 'Table of Contents';
+const LAYER_MARKER = /^<!-- clean-vibe:layer (\S+) -->$/;
+
+/**
+ * Normalise a section so that cosmetic differences (emoji, spacing) don't stop
+ * identical guidance from being recognised as shared
+ */
+function sectionKey(section) {
+  const title = section.title
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .trim();
+  const body = section.body
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+  return body ? `${title}\n${body}` : null;
+}
+
+/**
+ * Mark sections whose heading and body were already emitted by an earlier
+ * layer, descending one heading level into sections that are not shared
+ */
+function dedupe(sections, seen, layer, subLevel) {
+  return sections.map(section => {
+    const key = sectionKey(section);
+    if (key && seen.has(key)) {
+      return { ...section, shared: seen.get(key) };
+    }
+    if (key) {
+      seen.set(key, { id: layer.id, label: layer.label, title: section.title });
+    }
+    if (!subLevel) {
+      return section;
+    }
+
+    const { preamble, sections: subsections } = parseSections(
+      section.body,
+      subLevel
+    );
+    return {
+      ...section,
+      preamble,
+      subsections: dedupe(subsections, seen, layer, null),
+    };
+  });
+}
+
+function renderSection(section, anchorFor) {
+  if (section.shared) {
+    const { id, label, title } = section.shared;
+    return `${section.heading}\n\n_Shared with ${label}: see [${title.trim()}](#${anchorFor(id, title)})._\n`;
+  }
+  if (section.subsections && section.subsections.some(s => s.shared)) {
+    return [
+      section.heading,
+      section.preamble,
+      ...section.subsections.map(s => renderSection(s, anchorFor)),
+    ].join('\n');
+  }
+  return section.content;
+}
+
+function renderLayer(layer, anchorFor) {
+  const body = [
+    layer.preamble.trim(),
+    '',
+    `> Layer: **${layer.label}** (\`${layer.id}\`)`,
+    '',
+    ...layer.sections.map(s => renderSection(s, anchorFor).trimEnd() + '\n'),
+    layer.epilogue.trim(),
+  ].join('\n');
+
+  return [
+    `<!-- clean-vibe:layer ${layer.id} -->`,
+    shiftHeadings(body, 1).trim(),
+    `<!-- clean-vibe:end-layer ${layer.id} -->`,
+  ].join('\n\n');
+}
+
+/**
+ * Map `layerId + heading text` to the anchor GitHub will generate for it
+ */
+function collectAnchors(content, reserved) {
+  const slug = createSlugger();
+  reserved.forEach(text => slug(text));
+
+  const anchors = new Map();
+  let layerId = null;
+  eachLine(content, (line, index, inFence) => {
+    if (inFence) return;
+    const marker = line.match(LAYER_MARKER);
+    if (marker) {
+      layerId = marker[1];
+      return;
+    }
+    const heading = parseHeading(line);
+    if (!heading) return;
+    const key = `${layerId}\n${heading.text}`;
+    const anchor = slug(heading.text);
+    if (!anchors.has(key)) anchors.set(key, anchor);
+  });
+  return anchors;
+}
+
+/**
+ * Merge several rendered templates into a single document with a table of
+ * contents, one clearly delimited block per layer, and shared sections (same
+ * heading and body) emitted only once
+ * @param {Array<{id: string, label: string, content: string}>} layers
+ * @param {Object} [options]
+ * @param {string} [options.above] - Markdown that will be placed above the
+ *   composed document, such as the project PRD; its headings claim their
+ *   anchors first
+ * @returns {string} Composed markdown
+ */
+function composeTemplates(layers, options = {}) {
+  const seen = new Map();
+  const parsed = layers.map(layer => {
+    const { preamble, sections, epilogue } = parseSections(layer.content, 2);
+    return {
+      ...layer,
+      preamble,
+      epilogue,
+      sections: dedupe(sections, seen, layer, 3),
+    };
+  });
+
+  const render = anchorFor =>
+    parsed.map(layer => renderLayer(layer, anchorFor)).join('\n\n---\n\n');
+
+  // Shared-section links don't add headings, so a draft pins every anchor
+  const reserved = [
+    ...parseHeadings(options.above || '').map(heading => heading.text),
+    COMPOSED_TITLE,
+    TOC_TITLE,
+  ];
+  const anchors = collectAnchors(
+    render(() => ''),
+    reserved
+  );
+  const content = render((id, title) => anchors.get(`${id}\n${title}`) || '');
+
+  return [
+    `# ${COMPOSED_TITLE}`,
+    '',
+    `> Composed by clean-vibe from: ${layers.map(l => `\`${l.id}\``).join(', ')}`,
+    '',
+    `## ${TOC_TITLE}`,
+    '',
+    buildToc(content, { minLevel: 2, maxLevel: 3, reserved }),
+    '',
+    '---',
+    '',
+    content,
+    '',
+  ].join('\n');
+}
+
+module.exports = { composeTemplates };
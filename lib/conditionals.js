@@ -0,0 +1,112 @@
+/**
+ * Conditional sections
+ * Templates mark optional blocks with HTML comments on their own line, so the
+ * raw markdown still renders cleanly:
+ *
+ *   <!-- @include-if redis -->
+ *   ...kept only when the `redis` feature is on...
+ *   <!-- @end -->
+ *
+ *   <!-- @exclude-if celery -->
+ *   ...dropped when the `celery` feature is on...
+ *   <!-- @end -->
+ *
+ * Blocks may nest and may sit inside code fences (e.g. to gate one service in
+ * a docker-compose sample). Directive lines never reach the output.
+ */
+
+const DIRECTIVE_PATTERN =
+  /^\s*<!--\s*@(include-if|exclude-if|end)(?:\s+(.*?))?\s*-->\s*$/;
+const FEATURE_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Resolve feature toggles for one template: declared defaults, then the
+ * selected toggles for the features it declares
+ * @param {Object} declared - Template feature declarations (`{name: {default}}`)
+ * @param {Object<string, boolean>} [selected] - Explicit toggles by name
+ * @returns {Object<string, boolean>}
+ */
+function resolveFeatures(declared = {}, selected = {}) {
+  const features = {};
+  Object.keys(declared).forEach(name => {
+    features[name] =
+      selected[name] !== undefined
+        ? Boolean(selected[name])
+        : declared[name].default !== false;
+  });
+  return features;
+}
+
+/**
+ * Evaluate the conditional blocks of a template
+ * @param {string} content - Template markdown
+ * @param {Object<string, boolean>} features - Resolved feature toggles; a
+ *   directive naming any other feature is an error
+ * @param {string} [source] - Template path, used in error messages
+ * @returns {string} Markdown without the excluded blocks and directive lines
+ */
+function applyConditionals(content, features, source = 'template') {
+  const output = [];
+  const open = [];
+
+  content.split('\n').forEach((line, index) => {
+    const match = line.match(DIRECTIVE_PATTERN);
+    if (!match) {
+      if (open.every(block => block.keep)) output.push(line);
+      return;
+    }
+
+    const [, directive, argument = ''] = match;
+    const at = `${source}:${index + 1}`;
+
+    if (directive === 'end') {
+      const block = open.pop();
+      if (!block) {
+        throw new Error(
+          `${at} @end without a matching @include-if or @exclude-if`
+        );
+      }
+      if (argument && argument !== block.feature) {
+        throw new Error(
+          `${at} @end ${argument} closes @${block.directive} ${block.feature} from line ${block.line}`
+        );
+      }
+      return;
+    }
+
+    if (!FEATURE_PATTERN.test(argument)) {
+      throw new Error(
+        `${at} @${directive} expects one feature name, e.g. "@${directive} redis"`
+      );
+    }
+    if (features[argument] === undefined) {
+      throw new Error(
+        `${at} @${directive} uses undeclared feature "${argument}"`
+      );
+    }
+
+    open.push({
+      directive,
+      feature: argument,
+      line: index + 1,
+      keep:
+        directive === 'include-if' ? features[argument] : !features[argument],
+    });
+  });
+
+  if (open.length > 0) {
+    const block = open[open.length - 1];
+    throw new Error(
+      `${source}:${block.line} @${block.directive} ${block.feature} is never closed with @end`
+    );
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  DIRECTIVE_PATTERN,
+  FEATURE_PATTERN,
+  resolveFeatures,
+  applyConditionals,
+};
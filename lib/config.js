@@ -0,0 +1,86 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * User-level configuration
+ * Lives in `$CLEAN_VIBE_HOME`, or `$XDG_CONFIG_HOME/clean-vibe`, or
+ * `~/.config/clean-vibe`:
+ *
+ *   config.json   { "templateDirs": ["~/work/instructions"], "sources": [...],
+ *                   "defaults": {...} }   (see lib/settings.js)
+ *   templates/    template sources installed with `clean-vibe template add`
+ */
+
+const CONFIG_FILE = 'config.json';
+const SOURCES_DIR = 'templates';
+
+/**
+ * Directory holding the user's clean-vibe configuration
+ * @returns {string}
+ */
+function getConfigDir() {
+  if (process.env.CLEAN_VIBE_HOME) {
+    return path.resolve(process.env.CLEAN_VIBE_HOME);
+  }
+  const base =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'clean-vibe');
+}
+
+/**
+ * Directory that installed template sources are cached in
+ * @returns {string}
+ */
+function getSourcesDir() {
+  return path.join(getConfigDir(), SOURCES_DIR);
+}
+
+/**
+ * Expand a leading `~` and resolve relative paths against `baseDir`
+ * @param {string} dir - Path as written by the user
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {string}
+ */
+function resolveUserPath(dir, baseDir) {
+  if (dir === '~' || dir.startsWith('~/')) {
+    return path.join(os.homedir(), dir.slice(1));
+  }
+  return path.resolve(baseDir, dir);
+}
+
+/**
+ * Read the user config, or an empty one when none exists yet
+ * @returns {Object}
+ */
+function readUserConfig() {
+  const file = path.join(getConfigDir(), CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return fs.readJsonSync(file);
+  } catch (error) {
+    throw new Error(`Invalid user config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the user config
+ * @param {Object} config - Full config object
+ * @returns {Promise<string>} Path of the config file
+ */
+async function writeUserConfig(config) {
+  const file = path.join(getConfigDir(), CONFIG_FILE);
+  await fs.outputJson(file, config, { spaces: 2 });
+  return file;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  getConfigDir,
+  getSourcesDir,
+  resolveUserPath,
+  readUserConfig,
+  writeUserConfig,
+};
@@ -0,0 +1,552 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseTemplateId, resolveTemplate } = require('./templates');
+const { substituteVariables, resolveVariables } = require('./variables');
+const { writeGeneratedFile } = require('./writer');
+
+/**
+ * Design tokens
+ * A template may describe its design system as tokens in the W3C design
+ * tokens format (a file named by `tokens` in template.json, whose values may
+ * use the template's placeholders). The generator exports them next to the
+ * instructions as `design-tokens/tokens.json`, `variables.css` and
+ * `tokens.ts`, and the instructions show them where they say:
+ *
+ *   <!-- @tokens palette -->   a table of the colour tokens
+ *   <!-- @tokens css -->       a `:root` block of CSS custom properties
+ *
+ * A user's own tokens file replaces the template's groups of the same name,
+ * so a `color` group swaps the whole palette.
+ */
+
+const DESIGN_TOKENS_DIR = 'design-tokens';
+const TOKENS_PATTERN = /^\s*<!--\s*@tokens(?:\s+(.*?))?\s*-->\s*$/;
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+// Key under `$extensions` for the colour name and palette shown in tables
+const EXTENSION = 'clean-vibe';
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function measure(units) {
+  const pattern = new RegExp(`^-?(\\d+\\.?\\d*|\\.\\d+)(${units.join('|')})$`);
+  return {
+    check: value =>
+      typeof value === 'string'
+        ? value === '0' || pattern.test(value)
+        : isObject(value) &&
+          typeof value.value === 'number' &&
+          units.includes(value.unit),
+    css: value =>
+      typeof value === 'string' ? value : `${value.value}${value.unit}`,
+  };
+}
+
+const dimension = measure(['px', 'rem']);
+const duration = measure(['ms', 's']);
+const color = {
+  check: value =>
+    (typeof value === 'string' && value.trim() !== '') ||
+    (isObject(value) && typeof value.hex === 'string'),
+  css: value => (typeof value === 'string' ? value : value.hex),
+};
+const cubicBezier = {
+  check: value =>
+    Array.isArray(value) &&
+    value.length === 4 &&
+    value.every(number => typeof number === 'number'),
+  css: value => `cubic-bezier(${value.join(', ')})`,
+};
+
+function isShadow(value) {
+  return (
+    isObject(value) &&
+    color.check(value.color) &&
+    ['offsetX', 'offsetY', 'blur'].every(key => dimension.check(value[key])) &&
+    (value.spread === undefined || dimension.check(value.spread)) &&
+    (value.inset === undefined || typeof value.inset === 'boolean')
+  );
+}
+
+function formatShadow(value) {
+  return [
+    ...(value.inset ? ['inset'] : []),
+    dimension.css(value.offsetX),
+    dimension.css(value.offsetY),
+    dimension.css(value.blur),
+    value.spread === undefined ? '0px' : dimension.css(value.spread),
+    color.css(value.color),
+  ].join(' ');
+}
+
+// The W3C types supported, each with a check of its (resolved) value and
+// its CSS form
+const TYPES = {
+  color,
+  dimension,
+  duration,
+  cubicBezier,
+  fontFamily: {
+    check: value =>
+      typeof value === 'string'
+        ? value.trim() !== ''
+        : Array.isArray(value) &&
+          value.length > 0 &&
+          value.every(name => typeof name === 'string'),
+    css: value =>
+      typeof value === 'string'
+        ? value
+        : value.map(name => (/\s/.test(name) ? `'${name}'` : name)).join(', '),
+  },
+  fontWeight: {
+    check: value =>
+      (typeof value === 'number' && value >= 1 && value <= 1000) ||
+      (typeof value === 'string' && value.trim() !== ''),
+    css: String,
+  },
+  number: { check: value => typeof value === 'number', css: String },
+  shadow: {
+    check: value =>
+      Array.isArray(value)
+        ? value.length > 0 && value.every(isShadow)
+        : isShadow(value),
+    css: value => [].concat(value).map(formatShadow).join(', '),
+  },
+  transition: {
+    check: value =>
+      isObject(value) &&
+      duration.check(value.duration) &&
+      duration.check(value.delay) &&
+      cubicBezier.check(value.timingFunction),
+    css: value =>
+      `${duration.css(value.duration)} ${cubicBezier.css(value.timingFunction)} ${duration.css(value.delay)}`,
+  },
+};
+
+function readTokensFile(file, source) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Design tokens file not found: ${source}`);
+  }
+  let tree;
+  try {
+    tree = fs.readJsonSync(file);
+  } catch (error) {
+    throw new Error(`Invalid design tokens ${source}: ${error.message}`);
+  }
+  if (!isObject(tree)) {
+    throw new Error(`Invalid design tokens ${source}: expected an object`);
+  }
+  return tree;
+}
+
+/**
+ * Fill placeholders in every string of a token tree
+ */
+function fillPlaceholders(node, variables) {
+  if (typeof node === 'string') {
+    return substituteVariables(node, variables).content;
+  }
+  if (Array.isArray(node)) {
+    return node.map(item => fillPlaceholders(item, variables));
+  }
+  if (isObject(node)) {
+    const filled = {};
+    Object.keys(node).forEach(key => {
+      filled[key] = fillPlaceholders(node[key], variables);
+    });
+    return filled;
+  }
+  return node;
+}
+
+/**
+ * List the tokens of a tree, depth first, with the `$type` they declare or
+ * inherit from a group above them
+ */
+function collectTokens(tree, sources) {
+  const tokens = [];
+  const walk = (node, trail, inherited) => {
+    const type = node.$type || inherited;
+    Object.keys(node)
+      .filter(key => !key.startsWith('$'))
+      .forEach(key => {
+        const child = node[key];
+        const at = [...trail, key];
+        const source = sources[at[0]];
+        if (!isObject(child) || /[.{}]/.test(key)) {
+          throw new Error(
+            `Invalid design tokens ${source}: "${at.join('.')}" is not a token or a group`
+          );
+        }
+        if ('$value' in child) {
+          tokens.push({
+            path: at,
+            name: at.join('-'),
+            type: child.$type || type,
+            value: child.$value,
+            description: child.$description || '',
+            extensions: child.$extensions || {},
+            source,
+          });
+        } else {
+          walk(child, at, type);
+        }
+      });
+  };
+  walk(tree, [], undefined);
+  return tokens;
+}
+
+/**
+ * Replace aliases such as `{color.primary}` by the values they point to and
+ * check each token's value against its type
+ */
+function resolveTokens(tokens) {
+  const byId = new Map(tokens.map(token => [token.path.join('.'), token]));
+  const resolved = new Map();
+
+  const resolveToken = (token, trail) => {
+    const id = token.path.join('.');
+    if (trail.includes(id)) {
+      throw new Error(
+        `Invalid design tokens ${token.source}: "${id}" refers to itself: ${[
+          ...trail.slice(trail.indexOf(id)),
+          id,
+        ].join(' → ')}`
+      );
+    }
+    if (!resolved.has(id)) {
+      const alias =
+        typeof token.value === 'string' && token.value.match(ALIAS_PATTERN);
+      const target = alias && byId.get(alias[1]);
+      if (alias && !target) {
+        throw new Error(
+          `Invalid design tokens ${token.source}: "${id}" refers to {${alias[1]}}, which is not a token`
+        );
+      }
+      const aliased = target && resolveToken(target, [...trail, id]);
+      resolved.set(
+        id,
+        aliased
+          ? { type: token.type || aliased.type, value: aliased.value }
+          : {
+              type: token.type,
+              value: resolveValue(token.value, [...trail, id]),
+            }
+      );
+    }
+    return resolved.get(id);
+  };
+
+  // Aliases inside composite values, such as the colour of a shadow
+  const resolveValue = (value, trail) => {
+    const alias = typeof value === 'string' && value.match(ALIAS_PATTERN);
+    if (alias && byId.has(alias[1])) {
+      return resolveToken(byId.get(alias[1]), trail).value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => resolveValue(item, trail));
+    }
+    if (isObject(value)) {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = resolveValue(value[key], trail);
+      });
+      return result;
+    }
+    return value;
+  };
+
+  return tokens.map(token => {
+    const id = token.path.join('.');
+    const { type, value } = resolveToken(token, []);
+    const problem = !type
+      ? 'has no $type, on itself or a group above it'
+      : !TYPES[type]
+        ? `has an unsupported $type "${type}" (supported: ${Object.keys(TYPES).join(', ')})`
+        : !TYPES[type].check(value)
+          ? `is not a valid ${type}: ${JSON.stringify(value)}`
+          : null;
+    if (problem) {
+      throw new Error(
+        `Invalid design tokens ${token.source}: "${id}" ${problem}`
+      );
+    }
+    return { ...token, type, value, css: TYPES[type].css(value) };
+  });
+}
+
+/**
+ * Fail early when a tokens file is given for templates without design tokens
+ * @param {Array<Object>} entries - Registry entries (see lib/templates.js)
+ * @param {string} [tokensFile] - The user's tokens file
+ */
+function checkTokensFile(entries, tokensFile) {
+  if (tokensFile && !entries.some(entry => entry.tokens)) {
+    throw new Error(
+      `${tokensFile} replaces design tokens, but ${entries
+        .map(entry => entry.id)
+        .join(', ')} has none to replace`
+    );
+  }
+}
+
+/**
+ * Read the design tokens of one or more templates
+ * @param {Array<{entry: Object, variables: Object<string, string>}>} layers -
+ *   Registry entries with the variable values to fill their tokens with; a
+ *   later template's groups replace an earlier one's
+ * @param {string} [tokensFile] - A W3C tokens file whose groups replace the
+ *   templates' groups of the same name
+ * @returns {{tree: Object, tokens: Array<{path: string[], name: string,
+ *   type: string, value: *, css: string, description: string,
+ *   extensions: Object}>}|null} The merged tree, as exported to
+ *   `tokens.json`, and its tokens with aliases resolved; null when none of
+ *   the templates has design tokens
+ */
+function readDesignTokens(layers, tokensFile) {
+  const files = layers
+    .filter(({ entry }) => entry.tokens)
+    .map(({ entry, variables }) => ({
+      source: entry.tokens.source,
+      tree: fillPlaceholders(
+        readTokensFile(entry.tokens.sourcePath, entry.tokens.source),
+        variables
+      ),
+    }));
+  if (files.length === 0) return null;
+  if (tokensFile) {
+    files.push({
+      source: tokensFile,
+      tree: readTokensFile(path.resolve(tokensFile), tokensFile),
+    });
+  }
+
+  const tree = {};
+  const sources = {};
+  files.forEach(file => {
+    Object.keys(file.tree).forEach(key => {
+      tree[key] = file.tree[key];
+      sources[key] = file.source;
+    });
+  });
+  return { tree, tokens: resolveTokens(collectTokens(tree, sources)) };
+}
+
+function formatTable(header, rows) {
+  const widths = header.map((cell, index) =>
+    Math.max(3, cell.length, ...rows.map(row => row[index].length))
+  );
+  const line = cells =>
+    `| ${cells.map((cell, index) => cell.padEnd(widths[index])).join(' | ')} |`;
+  return [
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+/**
+ * Markdown tables of the colour tokens, one per palette named in their
+ * `$extensions`
+ */
+function renderPalette({ tokens }) {
+  const meta = token => token.extensions[EXTENSION] || {};
+  const colors = tokens.filter(token => token.type === 'color');
+  const named = colors.some(token => meta(token).name);
+  const palettes = [];
+  colors.forEach(token => {
+    const name = meta(token).palette || '';
+    let palette = palettes.find(candidate => candidate.name === name);
+    if (!palette) {
+      palette = { name, rows: [] };
+      palettes.push(palette);
+    }
+    palette.rows.push([
+      token.description || token.path.join('.'),
+      ...(named ? [meta(token).name || ''] : []),
+      `\`${token.css}\``,
+      `\`--${token.name}\``,
+    ]);
+  });
+
+  const header = [
+    'Purpose',
+    ...(named ? ['Color Name'] : []),
+    'Hex',
+    'CSS Variable',
+  ];
+  return palettes
+    .map(({ name, rows }) => {
+      const table = formatTable(header, rows);
+      return name ? `#### ${name} Palette\n${table}` : table;
+    })
+    .join('\n\n');
+}
+
+/**
+ * A `:root` block declaring every token as a CSS custom property, grouped
+ * by top-level group under its `$description`
+ */
+function renderCss({ tree, tokens }, header) {
+  const groups = [];
+  tokens.forEach(token => {
+    const [key] = token.path;
+    let group = groups.find(candidate => candidate.key === key);
+    if (!group) {
+      group = { key, lines: [`  /* ${tree[key].$description || key} */`] };
+      groups.push(group);
+    }
+    group.lines.push(`  --${token.name}: ${token.css};`);
+  });
+  return `${header ? `/* ${header} */\n` : ''}:root {\n${groups
+    .map(group => group.lines.join('\n'))
+    .join('\n\n')}\n}\n`;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+}
+
+function formatLiteral(value) {
+  if (typeof value === 'number') return String(value);
+  return value.includes("'") || value.includes('\\')
+    ? JSON.stringify(value)
+    : `'${value}'`;
+}
+
+/**
+ * A TypeScript module exporting the tokens as one nested constant; numbers
+ * stay numbers, everything else is its CSS value
+ */
+function renderTypeScript({ tokens }, header) {
+  const root = {};
+  tokens.forEach(token => {
+    let node = root;
+    token.path.slice(0, -1).forEach(key => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+    node[token.path[token.path.length - 1]] =
+      typeof token.value === 'number' ? token.value : token.css;
+  });
+  const print = (node, indent) =>
+    `{\n${Object.keys(node)
+      .map(
+        key =>
+          `${indent}  ${formatKey(key)}: ${
+            typeof node[key] === 'object'
+              ? print(node[key], `${indent}  `)
+              : formatLiteral(node[key])
+          },`
+      )
+      .join('\n')}\n${indent}}`;
+  return `${header ? `// ${header}\n` : ''}export const tokens = ${print(root, '')} as const;\n\nexport type Tokens = typeof tokens;\n`;
+}
+
+const RENDERERS = {
+  palette: renderPalette,
+  css: design => renderCss(design),
+};
+
+/**
+ * Replace `@tokens` lines with the tokens they ask for
+ * @param {string} content - Markdown
+ * @param {Object|null} design - See `readDesignTokens`
+ * @param {string} source - Template path, used in error messages
+ * @returns {string} Markdown
+ */
+function expandTokenDirectives(content, design, source) {
+  return content
+    .split('\n')
+    .map((line, index) => {
+      const match = line.match(TOKENS_PATTERN);
+      if (!match) return line;
+      const at = `${source}:${index + 1}`;
+      if (!RENDERERS[match[1]]) {
+        throw new Error(
+          `${at} @tokens expects one of ${Object.keys(RENDERERS).join(', ')}`
+        );
+      }
+      if (!design) {
+        throw new Error(
+          `${at} @tokens ${match[1]} needs design tokens; name a tokens file in template.json`
+        );
+      }
+      return RENDERERS[match[1]](design).trimEnd();
+    })
+    .join('\n');
+}
+
+/**
+ * Write the design tokens of one or more templates to
+ * `<targetDir>/design-tokens/`: `tokens.json` (W3C design tokens format),
+ * `variables.css` (CSS custom properties) and `tokens.ts` (a TypeScript
+ * constant), protecting local edits like the instructions
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {string} [targetDir] - Project directory to write into
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - Questionnaire answers, for variables
+ * @param {Object<string, string>} [options.variables] - Explicit variable values
+ * @param {string} [options.tokensFile] - A W3C tokens file whose groups
+ *   replace the templates' groups of the same name, e.g. `color` for the
+ *   palette
+ * @param {boolean} [options.dryRun] - Write nothing; see `writeGeneratedFile`,
+ *   which also receives `force` and `onExisting`
+ * @returns {Promise<Array<Object>>} One `writeGeneratedFile` result per file,
+ *   with its project-relative `file`; empty when the templates have no
+ *   design tokens
+ */
+async function exportDesignTokens(
+  templateIds,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  const entries = [...new Set(templateIds)].map(id => {
+    const { category, template } = parseTemplateId(id);
+    return resolveTemplate(category, template);
+  });
+  checkTokensFile(entries, options.tokensFile);
+  const design = readDesignTokens(
+    entries.map(entry => ({
+      entry,
+      variables: resolveVariables(
+        entry.variables,
+        options.answers,
+        options.variables
+      ),
+    })),
+    options.tokensFile
+  );
+  if (!design) return [];
+
+  const header = `${design.tree.$description || 'Design tokens'}, generated by clean-vibe from ${entries
+    .filter(entry => entry.tokens)
+    .map(entry => entry.id)
+    .join(' + ')}`;
+  const files = {
+    'tokens.json': `${JSON.stringify(design.tree, null, 2)}\n`,
+    'variables.css': renderCss(design, header),
+    'tokens.ts': renderTypeScript(design, header),
+  };
+
+  const results = [];
+  for (const name of Object.keys(files)) {
+    const file = `${DESIGN_TOKENS_DIR}/${name}`;
+    results.push({
+      ...(await writeGeneratedFile(targetDir, file, files[name], options)),
+      file,
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  DESIGN_TOKENS_DIR,
+  TOKENS_PATTERN,
+  checkTokensFile,
+  readDesignTokens,
+  expandTokenDirectives,
+  exportDesignTokens,
+};
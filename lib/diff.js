@@ -0,0 +1,147 @@
+const { createTwoFilesPatch, diffArrays } = require('diff');
+
+/**
+ * Line diffs and three-way merges of generated files
+ */
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string} before - Current content
+ * @param {string} after - New content
+ * @param {Object} [options]
+ * @param {string} [options.beforeLabel] - Name shown on the `---` line
+ * @param {string} [options.afterLabel] - Name shown on the `+++` line
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @returns {string} Empty when the contents are equal
+ */
+function unifiedDiff(before, after, options = {}) {
+  if (before === after) return '';
+  const patch = createTwoFilesPatch(
+    options.beforeLabel || 'current',
+    options.afterLabel || 'generated',
+    before,
+    after,
+    undefined,
+    undefined,
+    { context: options.context === undefined ? 3 : options.context }
+  );
+  // Drop the `====` separator line jsdiff puts above the file names
+  return patch.replace(/^=+\n/, '');
+}
+
+function splitLines(text) {
+  return text.split('\n');
+}
+
+/**
+ * Describe how `other` changes `base` as replacements of base line ranges
+ * @returns {Array<{start: number, end: number, lines: string[]}>}
+ */
+function changeHunks(base, other) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  diffArrays(base, other).forEach(part => {
+    if (!part.added && !part.removed) {
+      if (current) hunks.push(current);
+      current = null;
+      index += part.value.length;
+      return;
+    }
+    current = current || { start: index, end: index, lines: [] };
+    if (part.removed) {
+      current.end += part.value.length;
+      index += part.value.length;
+    } else {
+      current.lines.push(...part.value);
+    }
+  });
+  if (current) hunks.push(current);
+
+  return hunks;
+}
+
+function applyHunks(base, start, end, hunks) {
+  const lines = [];
+  let position = start;
+  hunks.forEach(hunk => {
+    lines.push(...base.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  });
+  lines.push(...base.slice(position, end));
+  return lines;
+}
+
+/**
+ * Three-way merge: keep the changes both sides made to a common base, and
+ * mark the regions both changed differently with git-style conflict markers
+ * @param {string} base - Common ancestor (the last generated version)
+ * @param {string} ours - Local version (the team's edits)
+ * @param {string} theirs - New version (freshly generated)
+ * @param {Object} [labels] - Names for the conflict markers
+ * @param {string} [labels.ours]
+ * @param {string} [labels.theirs]
+ * @returns {{content: string, conflicts: number}}
+ */
+function merge3(base, ours, theirs, labels = {}) {
+  const baseLines = splitLines(base);
+  const changes = [
+    ...changeHunks(baseLines, splitLines(ours)).map(h => ({ ...h, side: 0 })),
+    ...changeHunks(baseLines, splitLines(theirs)).map(h => ({
+      ...h,
+      side: 1,
+    })),
+  ].sort((a, b) => a.start - b.start || a.side - b.side);
+
+  const output = [];
+  let position = 0;
+  let conflicts = 0;
+
+  for (let i = 0; i < changes.length; ) {
+    // Group changes whose base ranges overlap or touch
+    const start = changes[i].start;
+    let end = changes[i].end;
+    const group = [changes[i++]];
+    while (i < changes.length && changes[i].start <= end) {
+      end = Math.max(end, changes[i].end);
+      group.push(changes[i++]);
+    }
+
+    output.push(...baseLines.slice(position, start));
+    position = end;
+
+    const [oursLines, theirsLines] = [0, 1].map(side =>
+      applyHunks(
+        baseLines,
+        start,
+        end,
+        group.filter(h => h.side === side)
+      )
+    );
+    const touched = [0, 1].map(side => group.some(h => h.side === side));
+
+    if (!touched[1]) {
+      output.push(...oursLines);
+    } else if (!touched[0] || oursLines.join('\n') === theirsLines.join('\n')) {
+      output.push(...theirsLines);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.ours || 'ours'}`,
+        ...oursLines,
+        '=======',
+        ...theirsLines,
+        `>>>>>>> ${labels.theirs || 'theirs'}`
+      );
+    }
+  }
+  output.push(...baseLines.slice(position));
+
+  return { content: output.join('\n'), conflicts };
+}
+
+module.exports = {
+  unifiedDiff,
+  merge3,
+};
@@ -0,0 +1,343 @@
+const fs = require('fs-extra');
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js/lib/common');
+const { writeGeneratedFile } = require('./writer');
+const { parseDocument } = require('./markdown-tree');
+const { formatStampEntry } = require('./stamps');
+
+/**
+ * Output formats
+ * Besides the markdown the agents read, the instructions can be exported for
+ * people and tools, into `prd/`:
+ *
+ *   html    a standalone page with a table of contents and highlighted code
+ *   print   a page laid out for paper, to print or save as PDF
+ *   json    the document tree (see lib/markdown-tree.js)
+ *
+ * Formats cover the whole instructions: with `split`, the scoped documents
+ * follow the main one. markdown-it renders the inline markdown and
+ * highlight.js the code, in GitHub's colours.
+ */
+
+const FORMATS_DIR = 'prd';
+const SCHEMA_VERSION = 1;
+const TOC_DEPTH = 3;
+
+hljs.registerLanguage(
+  'dockerfile',
+  require('highlight.js/lib/languages/dockerfile')
+);
+
+const HIGHLIGHT_STYLE = fs.readFileSync(
+  require.resolve('highlight.js/styles/github.min.css'),
+  'utf-8'
+);
+
+const inline = new MarkdownIt({ linkify: true });
+const { escapeHtml } = inline.utils;
+
+const BASE_STYLE = `
+* { box-sizing: border-box; }
+body { margin: 0; color: #1f2328; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+h1, h2, h3, h4 { line-height: 1.25; margin: 1.6em 0 0.6em; }
+h1 { font-size: 2em; margin-top: 0; }
+h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+a { color: #0969da; }
+code { font: 0.875em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #eff2f5; border-radius: 4px; padding: 0.15em 0.35em; }
+pre { position: relative; background: #f6f8fa; border: 1px solid #d1d9e0; border-radius: 6px; padding: 1em; overflow: auto; }
+pre code { background: none; padding: 0; font-size: 0.85em; }
+pre[data-language]::before { content: attr(data-language); position: absolute; top: 0.3em; right: 0.6em; font-size: 0.75em; color: #6e7781; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #d1d9e0; padding: 0.4em 0.8em; }
+th { background: #f6f8fa; }
+blockquote { margin: 1em 0; padding: 0 1em; color: #59636e; border-left: 4px solid #d1d9e0; }
+li.task { list-style: none; }
+li.task input { margin: 0 0.4em 0 -1.4em; }
+hr { border: 0; border-top: 1px solid #d1d9e0; margin: 2em 0; }
+nav ul { list-style: none; padding-left: 1em; margin: 0; }
+nav > ul { padding-left: 0; }
+nav a { color: inherit; text-decoration: none; }
+nav a:hover { color: #0969da; }
+${HIGHLIGHT_STYLE}`;
+
+const SCREEN_STYLE = `
+.layout { display: flex; align-items: flex-start; max-width: 1280px; margin: 0 auto; }
+nav { position: sticky; top: 0; flex: 0 0 280px; max-height: 100vh; overflow: auto; padding: 2em 1em; font-size: 0.875em; border-right: 1px solid #d1d9e0; }
+nav li { margin: 0.25em 0; }
+main { flex: 1; min-width: 0; padding: 2em 3em; }
+@media (max-width: 900px) { .layout { display: block; } nav { position: static; max-height: none; border-right: 0; } main { padding: 1em; } }
+@media print { nav { display: none; } }`;
+
+const PRINT_STYLE = `
+@page { size: A4; margin: 18mm 16mm; }
+body { font-size: 10.5pt; }
+main { max-width: 180mm; margin: 0 auto; }
+nav { break-after: page; }
+nav h2 { border: 0; }
+nav li { margin: 0.2em 0; }
+h1, h2, h3, h4 { break-after: avoid; }
+h2 { break-before: page; }
+pre, table, blockquote, li { break-inside: avoid; }
+pre { white-space: pre-wrap; word-break: break-word; overflow: visible; }
+main a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #59636e; word-break: break-all; }`;
+
+/**
+ * Render inline markdown (code spans, links, images, emphasis) as HTML; raw
+ * HTML is escaped
+ * @param {string} text - Markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  return inline.renderInline(text);
+}
+
+/**
+ * Highlight a code block
+ * @returns {{language: string|null, html: string}} The language as
+ *   highlight.js knows it, or null when it does not, and the code as HTML
+ */
+function highlightCode(code, language) {
+  const name = language && language.toLowerCase();
+  if (!name || !hljs.getLanguage(name)) {
+    return { language: null, html: escapeHtml(code) };
+  }
+  return {
+    language: name,
+    html: hljs.highlight(code, { language: name, ignoreIllegals: true }).value,
+  };
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(renderBlock).join('\n');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${renderInline(block.text)}</p>`;
+    case 'code': {
+      const language = block.language ? escapeHtml(block.language) : null;
+      const { language: known, html } = highlightCode(
+        block.code,
+        block.language
+      );
+      return `<pre${language ? ` data-language="${language}"` : ''}><code${known ? ` class="language-${escapeHtml(known)}"` : ''}>${html}</code></pre>`;
+    }
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start =
+        block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map(item => {
+        const box =
+          item.checked === undefined
+            ? ''
+            : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+        const nested = item.blocks.length
+          ? `\n${renderBlocks(item.blocks)}`
+          : '';
+        return `<li${box ? ' class="task"' : ''}>${box}${renderInline(item.text)}${nested}</li>`;
+      });
+      return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+    }
+    case 'table': {
+      const cells = (row, tag) =>
+        row
+          .map((cell, index) => {
+            const align = block.align[index];
+            return `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderInline(cell)}</${tag}>`;
+          })
+          .join('');
+      const rows = block.rows.map(row => `<tr>${cells(row, 'td')}</tr>`);
+      return `<table>\n<thead><tr>${cells(block.header, 'th')}</tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+    }
+    case 'blockquote':
+      return `<blockquote>\n${renderBlocks(block.blocks)}\n</blockquote>`;
+    case 'rule':
+      return '<hr>';
+    default:
+      return '';
+  }
+}
+
+function renderSection(section) {
+  const heading = `<h${section.level} id="${escapeHtml(section.id)}">${renderInline(section.title)}</h${section.level}>`;
+  return [
+    '<section>',
+    heading,
+    renderBlocks(section.blocks),
+    ...section.sections.map(renderSection),
+    '</section>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function renderToc(sections, depth = 1) {
+  if (sections.length === 0 || depth > TOC_DEPTH - 1) return '';
+  const items = sections.map(
+    section =>
+      `<li><a href="#${escapeHtml(section.id)}">${renderInline(section.title)}</a>${renderToc(section.sections, depth + 1)}</li>`
+  );
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Render a document tree as a standalone HTML page
+ * @param {Object} tree - See `parseDocument`
+ * @param {Object} [options]
+ * @param {boolean} [options.print] - Lay the page out for paper
+ * @param {Array<Object>} [options.stamps] - Templates the instructions came
+ *   from, named in the page's `generator` meta tag
+ * @returns {string} HTML
+ */
+function renderHtml(tree, options = {}) {
+  const title = tree.title || 'Instructions';
+  const generator = [
+    'clean-vibe',
+    ...(options.stamps || []).map(formatStampEntry),
+  ];
+  const contents = options.print ? '<h2>Contents</h2>\n' : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="${escapeHtml(generator.join(' '))}">
+<title>${escapeHtml(title.replace(/[*_`]/g, ''))}</title>
+<style>${BASE_STYLE}${options.print ? PRINT_STYLE : SCREEN_STYLE}
+</style>
+</head>
+<body>
+<div class="layout">
+<nav aria-label="Contents">
+${contents}${renderToc(tree.sections)}
+</nav>
+<main>
+<h1>${renderInline(title)}</h1>
+${[renderBlocks(tree.blocks), ...tree.sections.map(renderSection)]
+  .filter(Boolean)
+  .join('\n')}
+</main>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a document tree as JSON
+ * @returns {string} `{schemaVersion, title, templates, blocks, sections}`,
+ *   `templates` being the stamps of the templates the instructions came from
+ */
+function renderJson(tree, options = {}) {
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    title: tree.title,
+    templates: (options.stamps || []).map(({ id, version, hash }) => ({
+      id,
+      version,
+      hash,
+    })),
+    blocks: tree.blocks,
+    sections: tree.sections,
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+const FORMATS = {
+  html: {
+    description:
+      'Standalone HTML with a table of contents and highlighted code',
+    file: 'instructions.html',
+    render: renderHtml,
+  },
+  print: {
+    description: 'HTML laid out for printing or saving as PDF',
+    file: 'instructions.print.html',
+    render: (tree, options) => renderHtml(tree, { ...options, print: true }),
+  },
+  json: {
+    description: 'JSON document tree: sections, headings, code blocks',
+    file: 'instructions.json',
+    render: renderJson,
+  },
+};
+
+/**
+ * Check a format selection and expand `all`
+ * @param {string|string[]} [selection] - Format names, or `all`
+ * @returns {string[]} Format names
+ */
+function resolveFormats(selection) {
+  const names = [].concat(selection || []);
+  if (names.includes('all')) {
+    return Object.keys(FORMATS);
+  }
+
+  const unknown = names.filter(name => !FORMATS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown output format${unknown.length > 1 ? 's' : ''} ${unknown
+        .map(name => `"${name}"`)
+        .join(', ')} (available: ${Object.keys(FORMATS).join(', ')}, all)`
+    );
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Render instructions in the selected formats
+ * @param {Array<Object>} documents - See `renderDocuments` in
+ *   lib/generator.js
+ * @param {string|string[]} selection - Format names or `all`
+ * @returns {Array<{format: string, file: string, content: string}>} `file`
+ *   is relative to the project
+ */
+function renderFormats(documents, selection) {
+  const names = resolveFormats(selection);
+  if (names.length === 0) return [];
+
+  const tree = parseDocument(
+    documents.map(document => document.content).join('\n\n')
+  );
+  const options = { stamps: documents[0].stamps };
+  return names.map(format => ({
+    format,
+    file: `${FORMATS_DIR}/${FORMATS[format].file}`,
+    content: FORMATS[format].render(tree, options),
+  }));
+}
+
+/**
+ * Write instructions in the selected formats
+ * @param {string} targetDir - Project directory
+ * @param {Array<Object>} documents - See `renderFormats`
+ * @param {Object} [options] - Passed to `writeGeneratedFile`, plus
+ * @param {string|string[]} [options.formats] - Format names or `all`
+ * @returns {Promise<Array<Object>>} One `writeGeneratedFile` result per
+ *   file, with its `format` and project-relative `file`
+ */
+async function writeFormats(targetDir, documents, options = {}) {
+  const results = [];
+  for (const { format, file, content } of renderFormats(
+    documents,
+    options.formats
+  )) {
+    results.push({
+      ...(await writeGeneratedFile(targetDir, file, content, options)),
+      format,
+      file,
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  FORMATS_DIR,
+  FORMATS,
+  resolveFormats,
+  renderFormats,
+  writeFormats,
+};
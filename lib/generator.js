@@ -0,0 +1,553 @@
+const { parseTemplateId, resolveTemplate } = require('./templates');
+const { composeTemplates } = require('./compose');
+const { loadQuestionnaire, renderProjectPRD } = require('./questionnaire');
+const { loadAnswersFile } = require('./answers');
+const { substituteVariables, resolveVariables } = require('./variables');
+const { resolveFeatures, applyConditionals } = require('./conditionals');
+const { scaffoldProject } = require('./scaffold');
+const { splitSections } = require('./sections');
+const { writeTargets } = require('./targets');
+const { stampContent } = require('./stamps');
+const { readTemplateChain, hashChain, resolveChain } = require('./inheritance');
+const { trimToBudget } = require('./tokens');
+const { recordGeneration } = require('./state');
+const {
+  checkTokensFile,
+  readDesignTokens,
+  expandTokenDirectives,
+  exportDesignTokens,
+} = require('./design-tokens');
+const { writeFormats } = require('./formats');
+
+const OUTPUT_FILE = '.github/instructions.md';
+
+/**
+ * Read a template's instructions from disk (through the templates it
+ * extends), drop the conditional blocks of disabled features, show its
+ * design tokens, fill in its variables and separate its scoped sections
+ * @param {string} category - Category key, e.g. `fe`
+ * @param {string} template - Template key within the category, e.g. `react`
+ * @param {Object} [context]
+ * @param {Object} [context.answers] - Questionnaire answers
+ * @param {Object} [context.variables] - Explicit variable values
+ * @param {Object<string, boolean>} [context.features] - Feature toggles
+ * @param {string} [context.tokensFile] - Design tokens replacing the
+ *   template's (see lib/design-tokens.js)
+ * @returns {Promise<{id: string, label: string, content: string,
+ *   index: string, scoped: Array<Object>, priorities: Object,
+ *   stamp: Object, variables: Object, features: Object,
+ *   unresolved: string[]}>} See `splitSections`; `priorities` are the
+ *   manifest's section priorities, `stamp` records the template's id, version
+ *   and hash, and `variables`/`features` are the values it was rendered with
+ */
+async function loadTemplate(category, template, context = {}) {
+  const selectedTemplate = resolveTemplate(category, template);
+  const chain = readTemplateChain(selectedTemplate);
+  const features = resolveFeatures(selectedTemplate.features, context.features);
+  const variables = resolveVariables(
+    selectedTemplate.variables,
+    context.answers,
+    context.variables
+  );
+  const design = readDesignTokens(
+    [{ entry: selectedTemplate, variables }],
+    selectedTemplate.tokens ? context.tokensFile : undefined
+  );
+  // Check each file on its own so errors cite its lines
+  chain
+    .flatMap(link => [
+      { source: link.source, raw: link.original },
+      ...link.partials,
+    ])
+    .forEach(({ raw, source }) => {
+      splitSections(raw, source);
+      applyConditionals(raw, features, source);
+      expandTokenDirectives(raw, design, source);
+    });
+
+  const { content, unresolved } = substituteVariables(
+    expandTokenDirectives(
+      applyConditionals(resolveChain(chain), features, selectedTemplate.source),
+      design,
+      selectedTemplate.source
+    ),
+    variables
+  );
+
+  return {
+    id: selectedTemplate.id,
+    template: selectedTemplate.template,
+    label: `${selectedTemplate.categoryName} — ${selectedTemplate.name}`,
+    priorities: selectedTemplate.sections,
+    stamp: {
+      id: selectedTemplate.id,
+      version: selectedTemplate.version,
+      hash: hashChain(chain),
+    },
+    variables,
+    features,
+    unresolved,
+    ...splitSections(content, selectedTemplate.source),
+  };
+}
+
+/**
+ * Reject feature toggles that none of the selected templates declare
+ */
+function checkFeatures(templates, features = {}) {
+  const declared = new Set(
+    templates.flatMap(entry => Object.keys(entry.features || {}))
+  );
+  const unknown = Object.keys(features).filter(name => !declared.has(name));
+  if (unknown.length > 0) {
+    const available =
+      declared.size > 0
+        ? `available: ${[...declared].join(', ')}`
+        : 'the selected templates have no optional features';
+    throw new Error(
+      `Unknown feature${unknown.length > 1 ? 's' : ''} ${unknown
+        .map(name => `"${name}"`)
+        .join(', ')} (${available})`
+    );
+  }
+}
+
+/**
+ * Describe rendered instructions for the output targets: a file name for
+ * targets that write one file per document, and a one-line description
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {string} content - Rendered markdown
+ * @returns {{name: string, description: string, applyTo: null, content: string}}
+ */
+function createDocument(templateIds, content) {
+  const templates = [...new Set(templateIds)].map(id => {
+    const { category, template } = parseTemplateId(id);
+    return resolveTemplate(category, template);
+  });
+  return {
+    name: templates.map(entry => entry.template).join('-'),
+    description: `${templates.map(entry => entry.name).join(' + ')} coding instructions`,
+    applyTo: null,
+    content,
+  };
+}
+
+/**
+ * Write rendered instructions to each selected output target (by default
+ * `<targetDir>/.github/instructions.md`), protecting local edits (see
+ * `writeGeneratedFile` for `force`/`onExisting`)
+ * @param {string} targetDir - Project directory
+ * @param {Object|Object[]} documents - See `renderDocuments`
+ * @param {Object} [options] - `targets` plus the `writeGeneratedFile` options
+ * @returns {Promise<Array<{path: string, file: string, target: string,
+ *   status: string, conflicts: number}>>}
+ */
+function writeInstructions(targetDir, documents, options = {}) {
+  return writeTargets(targetDir, documents, options);
+}
+
+/**
+ * Load the selected templates and the answers that fill them in
+ */
+async function loadLayers(templateIds, options) {
+  const ids = [...new Set(templateIds)];
+  if (ids.length === 0) {
+    throw new Error('At least one template is required');
+  }
+
+  const templates = ids.map(id => {
+    const { category, template } = parseTemplateId(id);
+    return resolveTemplate(category, template);
+  });
+  checkFeatures(templates, options.features);
+  checkTokensFile(templates, options.tokensFile);
+
+  let { answers } = options;
+  if (!answers && options.answersFile) {
+    ({ answers } = await loadAnswersFile(options.answersFile));
+  }
+
+  const layers = await Promise.all(
+    templates.map(({ category, template }) =>
+      loadTemplate(category, template, {
+        answers,
+        variables: options.variables,
+        features: options.features,
+        tokensFile: options.tokensFile,
+      })
+    )
+  );
+  return { ids, layers, answers };
+}
+
+/**
+ * Join layers into one document, prefixed with the project PRD
+ */
+async function assemble(layers, answers) {
+  const prd = answers
+    ? renderProjectPRD(answers, await loadQuestionnaire())
+    : null;
+  const instructions =
+    layers.length === 1
+      ? layers[0].content
+      : composeTemplates(layers, { above: prd });
+
+  if (!prd) {
+    return instructions;
+  }
+  return `${prd.trimEnd()}\n\n---\n\n${instructions}`;
+}
+
+/**
+ * Render the instructions for one or more templates, prefixed with the
+ * project PRD when questionnaire answers are supplied
+ * @param {string[]} templateIds - Ids such as `['fe/react', 'be/node-express']`
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - Questionnaire answers (see questions.md)
+ * @param {string} [options.answersFile] - JSON or YAML file holding the
+ *   answers; ignored when `answers` is given
+ * @param {Object<string, string>} [options.variables] - Values for template
+ *   placeholders such as `PACKAGE_MANAGER`; override answers and defaults
+ * @param {Object<string, boolean>} [options.features] - Turn optional
+ *   template features on or off, e.g. `{ redis: false }`
+ * @param {string} [options.tokensFile] - A W3C design tokens file whose
+ *   groups replace those of the templates' design tokens, e.g. `color` for
+ *   the palette (see lib/design-tokens.js)
+ * @returns {Promise<string>} Markdown
+ */
+async function renderInstructions(templateIds, options = {}) {
+  const { layers, answers } = await loadLayers(templateIds, options);
+  return assemble(layers, answers);
+}
+
+/**
+ * Render the instructions as documents for the output targets
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {Object} [options] - See `renderInstructions`
+ * @param {boolean} [options.split] - Move sections marked with `@section`
+ *   into scoped documents named `<template>-<id>`, listed after the index
+ * @param {number} [options.maxTokens] - Drop sections the templates mark as
+ *   low or medium priority from the index document until it fits (see
+ *   lib/tokens.js)
+ * @returns {Promise<Array<Object>>} An index document (see `createDocument`)
+ *   followed by the scoped ones, each with a `title`. Every document ends
+ *   with a stamp of its templates (see lib/stamps.js), also listed in `stamps`.
+ *   The index document also has `templates`: each template's stamp with the
+ *   `variables` and `features` it was rendered with and the placeholders
+ *   left `unresolved`. With `maxTokens`, it has a `budget` of `{maxTokens,
+ *   tokens, fits, removed}`
+ */
+async function renderDocuments(templateIds, options = {}) {
+  const loaded = await loadLayers(templateIds, options);
+  const { ids, answers } = loaded;
+  let { layers } = loaded;
+  let budget = null;
+  if (options.maxTokens) {
+    const field = options.split ? 'index' : 'content';
+    // Measured with its stamp, like the written file
+    const trimmed = await trimToBudget(
+      layers,
+      async candidate =>
+        stampContent(
+          await assemble(
+            candidate.map(layer => ({ ...layer, content: layer[field] })),
+            answers
+          ),
+          candidate.map(layer => layer.stamp)
+        ),
+      options.maxTokens,
+      field
+    );
+    ({ layers } = trimmed);
+    budget = {
+      maxTokens: options.maxTokens,
+      tokens: trimmed.tokens,
+      fits: trimmed.fits,
+      removed: trimmed.removed,
+    };
+  }
+  const stamps = layers.map(layer => layer.stamp);
+  const stamped = (document, documentStamps) => ({
+    ...document,
+    content: stampContent(document.content, documentStamps),
+    stamps: documentStamps,
+  });
+
+  const templates = layers.map(layer => ({
+    ...layer.stamp,
+    variables: layer.variables,
+    features: layer.features,
+    unresolved: layer.unresolved,
+  }));
+  const asIndex = document => ({
+    ...document,
+    templates,
+    ...(budget ? { budget } : {}),
+  });
+
+  if (!options.split) {
+    return [
+      asIndex(
+        stamped(createDocument(ids, await assemble(layers, answers)), stamps)
+      ),
+    ];
+  }
+
+  const index = await assemble(
+    layers.map(layer => ({ ...layer, content: layer.index })),
+    answers
+  );
+  const scoped = layers.flatMap(layer =>
+    layer.scoped.map(section =>
+      stamped(
+        {
+          name: `${layer.template}-${section.id}`,
+          title: section.title.trim(),
+          description:
+            section.description || `${layer.label}: ${section.title.trim()}`,
+          applyTo: section.applyTo,
+          content: section.content,
+        },
+        [layer.stamp]
+      )
+    )
+  );
+  return [asIndex(stamped(createDocument(ids, index), stamps)), ...scoped];
+}
+
+/**
+ * Render instructions and write them in other formats, such as HTML
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {string} [targetDir] - Project directory
+ * @param {Object} [options] - See `renderDocuments` and `writeFormats` in
+ *   lib/formats.js, which take `formats`
+ * @returns {Promise<Array<Object>>} See `writeFormats`
+ */
+async function exportFormats(
+  templateIds,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  const documents = await renderDocuments(templateIds, options);
+  return writeFormats(targetDir, documents, options);
+}
+
+/**
+ * Things a caller may want to surface from a generation
+ */
+function collectWarnings(index, written, scaffolded, exported) {
+  const warnings = [];
+  index.templates.forEach(({ id, unresolved }) => {
+    if (unresolved.length > 0) {
+      warnings.push(
+        `${id}: unresolved placeholders ${unresolved
+          .map(name => `{{${name}}}`)
+          .join(', ')}`
+      );
+    }
+  });
+  if (index.budget && !index.budget.fits) {
+    warnings.push(
+      `The instructions are ~${index.budget.tokens} tokens, over the budget of ${index.budget.maxTokens}`
+    );
+  }
+  [...written, ...exported].forEach(({ file, status, conflicts }) => {
+    if (conflicts > 0) {
+      warnings.push(`${file}: merged with ${conflicts} conflict(s)`);
+    } else if (status === 'alongside') {
+      warnings.push(
+        `${file}: has local edits; the new version was written alongside it`
+      );
+    } else if (status === 'conflict') {
+      warnings.push(`${file}: has local edits`);
+    }
+  });
+  scaffolded.forEach(({ file, status, unresolved }) => {
+    if (status === 'conflict') {
+      warnings.push(`${file}: already exists with different content`);
+    } else if (unresolved && unresolved.length > 0) {
+      warnings.push(
+        `${file}: unresolved placeholders ${unresolved
+          .map(name => `{{${name}}}`)
+          .join(', ')}`
+      );
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Write the instructions and, when asked for, the templates' starter files
+ */
+async function writeProject(templateIds, targetDir, options) {
+  const started = Date.now();
+  const hooks = options.hooks || {};
+  let settings = options;
+  if (hooks.beforeRender) {
+    settings = {
+      ...options,
+      ...(await hooks.beforeRender({ templateIds, targetDir, options })),
+    };
+  }
+  let { answers } = settings;
+  if (!answers && settings.answersFile) {
+    ({ answers } = await loadAnswersFile(settings.answersFile));
+  }
+  const dryRun = Boolean(settings.preview || settings.dryRun);
+
+  let documents = await renderDocuments(templateIds, {
+    ...settings,
+    answers,
+  });
+  // The hook may replace the documents; report what the templates rendered
+  const [index] = documents;
+  if (hooks.afterRender) {
+    documents =
+      (await hooks.afterRender({ templateIds, documents })) || documents;
+  }
+  const rendered = Date.now();
+
+  const written = await writeInstructions(targetDir, documents, {
+    ...settings,
+    dryRun,
+    beforeWrite: hooks.beforeWrite,
+    afterWrite: hooks.afterWrite,
+  });
+  const kept = written.filter(result => result.status !== 'vetoed');
+  if (!dryRun && kept.length > 0) {
+    await recordGeneration(targetDir, documents, kept, settings);
+  }
+
+  const scaffolded = settings.scaffold
+    ? await scaffoldProject(templateIds, targetDir, {
+        ...settings,
+        answers,
+        dryRun,
+        onConflict:
+          settings.onConflict || (settings.force ? 'overwrite' : 'skip'),
+      })
+    : [];
+  const designTokens = settings.designTokens
+    ? await exportDesignTokens(templateIds, targetDir, {
+        ...settings,
+        answers,
+        dryRun,
+      })
+    : [];
+  const formats = await writeFormats(targetDir, documents, {
+    ...settings,
+    dryRun,
+  });
+  const finished = Date.now();
+
+  return {
+    path: kept.length > 0 ? kept[0].path : null,
+    preview: dryRun,
+    templates: index.templates.map(
+      ({ id, version, hash, variables, features }) => ({
+        id,
+        version,
+        hash,
+        variables,
+        features,
+      })
+    ),
+    files: written,
+    scaffold: scaffolded,
+    designTokens,
+    formats,
+    warnings: collectWarnings(index, written, scaffolded, [
+      ...designTokens,
+      ...formats,
+    ]),
+    timing: {
+      render: rendered - started,
+      write: finished - rendered,
+      total: finished - started,
+    },
+    content: documents[0].content,
+    documents,
+  };
+}
+
+/**
+ * Render a template's instructions and write them to each selected output
+ * target (`.github/instructions.md` by default), along with any starter
+ * files, design tokens and other formats asked for
+ * @param {string} category - Category key, e.g. `fe`
+ * @param {string} template - Template key within the category, e.g. `react`
+ * @param {string} [targetDir] - Project directory to write into
+ * @param {Object} [options] - See `renderInstructions`
+ * @param {boolean} [options.scaffold] - Also copy the template's starter
+ *   files (see `scaffoldProject`, which receives the same options)
+ * @param {boolean} [options.force] - Overwrite local edits to the
+ *   instructions (and, with `scaffold`, existing starter files)
+ * @param {string|Function} [options.onExisting] - How to handle local edits
+ *   to the instructions; see `writeGeneratedFile`
+ * @param {string|string[]} [options.targets] - Output targets such as
+ *   `['copilot', 'cursor']`, or `all`; see lib/targets.js
+ * @param {boolean} [options.split] - Write sections marked with `@section`
+ *   to their own scoped rule files, linked from the main instructions
+ * @param {number} [options.maxTokens] - Token budget of the main
+ *   instructions; see `renderDocuments`
+ * @param {boolean} [options.preview] - Write nothing; the result describes
+ *   what would happen, its files carrying their `content` and a `diff`
+ * @param {boolean} [options.dryRun] - The same as `preview`
+ * @param {boolean} [options.designTokens] - Also export the templates'
+ *   design tokens (see `exportDesignTokens`, which receives the same
+ *   options)
+ * @param {string|string[]} [options.formats] - Also write the instructions
+ *   as `html`, `print` (HTML for paper) or `json` (a document tree), or
+ *   `all`; see lib/formats.js
+ * @param {Object} [options.hooks] - Lifecycle hooks, each of which may be
+ *   async: `beforeRender({templateIds, targetDir, options})` may return
+ *   options to override; `afterRender({templateIds, documents})` may return
+ *   replacement documents; `beforeWrite({target, file, path, content})` may
+ *   return replacement content or `false` to veto the write (see
+ *   `writeTargets`); `afterWrite(result)` sees each file's result. Content
+ *   changed by a hook reads as a local edit to `clean-vibe check`
+ * @returns {Promise<Object>} `{path, preview, templates, files, scaffold,
+ *   designTokens, formats, warnings, timing, content, documents}`: the
+ *   path of the first written instructions file (null when every write was
+ *   vetoed); each template's `{id, version, hash, variables, features}`; the
+ *   result of each instructions file (see `writeTargets`), starter file
+ *   (see `scaffoldProject`), design tokens file (see `exportDesignTokens`)
+ *   and formatted file (see `writeFormats`); warnings such as unresolved
+ *   placeholders, merge conflicts or a missed token budget; `{render, write, total}` in milliseconds; the rendered
+ *   main instructions and every rendered document
+ */
+async function generatePRD(
+  category,
+  template,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  resolveTemplate(category, template);
+  return writeProject([`${category}/${template}`], targetDir, options);
+}
+
+/**
+ * Merge several templates into one set of instructions and write it like
+ * `generatePRD`
+ * @param {string[]} templateIds - Ids such as `['fe/react', 'be/node-express']`
+ * @param {string} [targetDir] - Project directory to write into
+ * @param {Object} [options] - See `generatePRD`
+ * @returns {Promise<Object>} See `generatePRD`
+ */
+async function composePRD(
+  templateIds,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  return writeProject(templateIds, targetDir, options);
+}
+
+module.exports = {
+  OUTPUT_FILE,
+  renderInstructions,
+  renderDocuments,
+  writeInstructions,
+  exportFormats,
+  generatePRD,
+  composePRD,
+};
@@ -0,0 +1,285 @@
+const fs = require('fs-extra');
+const {
+  eachLine,
+  parseHeading,
+  parseSections,
+  slugify,
+} = require('./markdown');
+const { hashContent } = require('./stamps');
+const { DIRECTIVE_PATTERN } = require('./conditionals');
+const { SECTION_PATTERN } = require('./sections');
+const { expandIncludes } = require('./partials');
+
+/**
+ * Template inheritance
+ * A template whose manifest says `"extends": "fe/react"` starts from its
+ * parent's instructions and changes them by `##` section, naming sections by
+ * the anchor of their heading as written in the parent (placeholders
+ * included), or by a leading part of it that ends at a `-` and names one
+ * section:
+ *
+ *   <!-- @override -design-system -->
+ *   ## 🎨 Design System
+ *   ...
+ *   <!-- @append -testing-strategy -->
+ *   ### Internal test accounts
+ *   ...
+ *   <!-- @remove -additional-resources -->
+ *
+ * An override starting with a `##` heading replaces the whole section,
+ * otherwise just the body under the parent's heading (and `@section`
+ * marker). Text before the first directive replaces the parent's title and
+ * introduction when it has any, and its own `##` sections are added after
+ * the parent's. Conditional blocks (lib/conditionals.js) work as usual but
+ * may not contain a directive, so each one stays whole wherever its text ends
+ * up. Directives may not come from a partial (lib/partials.js).
+ */
+
+const OVERRIDE_PATTERN =
+  /^\s*<!--\s*@(override|append|remove)\b\s*(.*?)\s*-->\s*$/;
+
+/**
+ * Read the instructions of a template and of every template it extends, with
+ * their partials included
+ * @param {Object} entry - Registry entry (see lib/templates.js)
+ * @returns {Array<{id: string, source: string, raw: string, original: string,
+ *   partials: Array<{source: string, raw: string}>}>} The root template
+ *   first, `entry` itself last; `original` is the file as written and
+ *   `partials` the partials it included
+ */
+function readTemplateChain(entry) {
+  const chain = [];
+  for (let current = entry; current; current = current.parent) {
+    if (!fs.existsSync(current.sourcePath)) {
+      throw new Error(`Template file not found: ${current.source}`);
+    }
+    const original = fs.readFileSync(current.sourcePath, 'utf-8');
+    const { content, files } = expandIncludes(
+      original,
+      current.source,
+      current.partials || {}
+    );
+    chain.unshift({
+      id: current.id,
+      source: current.source,
+      raw: content,
+      original,
+      partials: files,
+    });
+  }
+  return chain;
+}
+
+/**
+ * Hash of a template's instructions, covering its partials and the templates
+ * it extends so that a change to any of them makes the outputs stale
+ * @param {Array<{raw: string}>} chain - See `readTemplateChain`
+ * @returns {string}
+ */
+function hashChain(chain) {
+  return hashContent(chain.map(link => link.raw).join('\n'));
+}
+
+function trimBlankLines(lines) {
+  return lines
+    .join('\n')
+    .replace(/^\s*\n/, '')
+    .trimEnd();
+}
+
+/**
+ * Split a child template into its own text and its section directives
+ * @param {string} content - Child instructions
+ * @param {string} source - Template path, used in error messages
+ * @returns {{own: string, directives: Array<{action: string, anchor: string,
+ *   line: number, content: string}>}}
+ */
+function parseOverrides(content, source) {
+  const own = [];
+  const directives = [];
+  const seen = new Map();
+  let current = null;
+  let depth = 0;
+
+  eachLine(content, (line, index, inFence) => {
+    const conditional = line.match(DIRECTIVE_PATTERN);
+    if (conditional) {
+      depth += conditional[1] === 'end' ? -1 : 1;
+    }
+    const match = inFence ? null : line.match(OVERRIDE_PATTERN);
+    if (!match) {
+      (current ? current.lines : own).push(line);
+      return;
+    }
+
+    const [, action, anchor] = match;
+    const at = `${source}:${index + 1}`;
+    if (depth > 0) {
+      throw new Error(
+        `${at} @${action} cannot be inside an @include-if or @exclude-if block`
+      );
+    }
+    if (!anchor || /\s/.test(anchor)) {
+      throw new Error(
+        `${at} @${action} expects one section anchor, e.g. "@${action} -design-system"`
+      );
+    }
+    if (action !== 'append' && seen.has(anchor)) {
+      throw new Error(
+        `${at} @${action} ${anchor} repeats the @${seen.get(anchor).action} on line ${seen.get(anchor).line}`
+      );
+    }
+    current = { action, anchor, line: index + 1, lines: [] };
+    if (action !== 'append') seen.set(anchor, current);
+    directives.push(current);
+  });
+
+  return {
+    own: own.join('\n'),
+    directives: directives.map(({ lines, ...directive }) => {
+      const body = trimBlankLines(lines);
+      if (directive.action === 'remove' && body) {
+        throw new Error(
+          `${source}:${directive.line} @remove ${directive.anchor} takes no content; put new sections before the first directive`
+        );
+      }
+      return { ...directive, content: body };
+    }),
+  };
+}
+
+/**
+ * Find the section a directive names, by its anchor or an unambiguous
+ * leading part of it
+ */
+function findSection(sections, anchor, at, { action, parentId }) {
+  const exact = sections.find(section => section.anchor === anchor);
+  if (exact) return exact;
+
+  const candidates = sections.filter(section =>
+    section.anchor.startsWith(`${anchor}-`)
+  );
+  if (candidates.length === 1) return candidates[0];
+  throw new Error(
+    candidates.length === 0
+      ? `${at} @${action} ${anchor}: ${parentId} has no ## section with that anchor`
+      : `${at} @${action} ${anchor} could mean ${candidates
+          .map(section => section.anchor)
+          .join(' or ')}`
+  );
+}
+
+/**
+ * Check that a child's directives are all its own, and give the line each is
+ * on in the file as written, before partials were included
+ */
+function directiveLines(link) {
+  const written = parseOverrides(link.original, link.source).directives;
+  link.partials.forEach(partial => {
+    eachLine(partial.raw, (line, index, inFence) => {
+      const match = inFence ? null : line.match(OVERRIDE_PATTERN);
+      if (match) {
+        throw new Error(
+          `${partial.source}:${index + 1} @${match[1]} cannot be in a partial; move it to ${link.source}`
+        );
+      }
+    });
+  });
+  return written.map(directive => directive.line);
+}
+
+/**
+ * Line of a heading in the file as written, if it is there rather than in a
+ * partial
+ */
+function headingLine(original, heading, fallback) {
+  const index = original.split('\n').indexOf(heading);
+  return index === -1 ? fallback : index + 1;
+}
+
+/**
+ * Apply a child template to the instructions of its parent
+ * @param {string} parent - The parent's instructions
+ * @param {Object} link - The child, see `readTemplateChain`
+ * @param {string} parentId - The parent's id, used in error messages
+ * @returns {string} Markdown
+ */
+function applyOverrides(parent, link, parentId) {
+  const { source, original = link.raw, partials = [] } = link;
+  const lines = directiveLines({ source, original, partials });
+  const { own, directives } = parseOverrides(link.raw, source);
+  const base = parseSections(parent, 2);
+  const added = parseSections(own, 2);
+  let sections = base.sections.map(section => {
+    const [marker] = section.body.split('\n');
+    return {
+      anchor: slugify(section.title),
+      // Kept by overrides that only replace the body
+      heading: SECTION_PATTERN.test(marker)
+        ? `${section.heading}\n${marker}`
+        : section.heading,
+      content: section.content,
+    };
+  });
+
+  directives.forEach(({ action, anchor, content }, index) => {
+    const target = findSection(sections, anchor, `${source}:${lines[index]}`, {
+      action,
+      parentId,
+    });
+    if (action === 'remove') {
+      sections = sections.filter(section => section !== target);
+    } else if (action === 'append') {
+      target.content = `${target.content.trimEnd()}\n\n${content}\n`;
+    } else {
+      const [first] = content.split('\n');
+      const heading = parseHeading(first);
+      target.content =
+        heading && heading.level === 2
+          ? `${content}\n`
+          : `${target.heading}\n\n${content}\n`;
+    }
+  });
+
+  added.sections.forEach(section => {
+    const anchor = slugify(section.title);
+    if (base.sections.some(existing => slugify(existing.title) === anchor)) {
+      throw new Error(
+        `${source}:${headingLine(original, section.heading, section.line)} "## ${section.title}" is already a section of ${parentId}; use <!-- @override ${anchor} --> to replace it`
+      );
+    }
+    sections.push({ anchor, content: section.content });
+  });
+
+  return [
+    added.preamble.trim() ? added.preamble : base.preamble,
+    ...sections.map(section => section.content),
+    base.epilogue,
+  ]
+    .filter(part => part.trim())
+    .map(part => `${part.trimEnd()}\n`)
+    .join('\n');
+}
+
+/**
+ * Resolve a template's instructions through the templates it extends
+ * @param {Array<Object>} chain - See `readTemplateChain`
+ * @returns {string} Markdown, with conditional blocks and placeholders still
+ *   to be evaluated
+ */
+function resolveChain(chain) {
+  return chain
+    .slice(1)
+    .reduce(
+      (content, link, index) => applyOverrides(content, link, chain[index].id),
+      chain[0].raw
+    );
+}
+
+module.exports = {
+  OVERRIDE_PATTERN,
+  readTemplateChain,
+  hashChain,
+  parseOverrides,
+  resolveChain,
+};
@@ -0,0 +1,616 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  MANIFEST_FILE,
+  readManifest,
+  getTemplateDirs,
+  findPartials,
+  listFiles,
+  parseTemplateId,
+  resolveTemplate,
+} = require('./templates');
+const {
+  parseHeadings,
+  parseFences,
+  eachLine,
+  createSlugger,
+  slugify,
+} = require('./markdown');
+const {
+  NAME_PATTERN,
+  findPlaceholders,
+  resolveVariables,
+} = require('./variables');
+const { FEATURE_PATTERN, applyConditionals } = require('./conditionals');
+const { splitSections } = require('./sections');
+const { validateCodeBlocks } = require('./codeblocks');
+const { readTemplateChain, resolveChain } = require('./inheritance');
+const { expandIncludes } = require('./partials');
+const { readDesignTokens, expandTokenDirectives } = require('./design-tokens');
+
+/**
+ * Template linting
+ * Checks a template directory (`template.json` next to its instructions) the
+ * way the generator will read it, without registering it first, so bundled
+ * templates and third-party ones can be validated in CI. Every problem names
+ * the file and line it was found at; errors make a template unusable or its
+ * output broken, warnings point at likely mistakes.
+ *
+ * A template that `extends` another is checked against the installed parent:
+ * its directives must apply, links and section priorities must match the
+ * resolved document, and size budgets apply to the resolved document.
+ * Partials it includes are looked up in its own root first, then in the
+ * configured roots, and checked along with it.
+ */
+
+const DEFAULT_BUDGETS = {
+  // Agents load the whole file into their context on every request
+  maxBytes: 64 * 1024,
+  maxSectionLines: 600,
+};
+const LINK_PATTERN = /\]\(#([^)\s]*)\)/g;
+
+/**
+ * Collect problems for one file
+ */
+function createReporter(problems, file) {
+  const report = severity => (line, rule, message) =>
+    problems.push({ file, line, severity, rule, message });
+  return { error: report('error'), warning: report('warning') };
+}
+
+/**
+ * Turn a `source:line message` error from the generator into a problem
+ */
+function reportThrown(report, rule, error, source) {
+  const match = error.message.startsWith(`${source}:`)
+    ? error.message.slice(source.length + 1).match(/^(\d+) (.*)$/s)
+    : null;
+  if (match) {
+    report.error(Number(match[1]), rule, match[2]);
+  } else {
+    report.error(null, rule, error.message);
+  }
+}
+
+/**
+ * Check the manifest's own fields and the files it points to
+ * @returns {Object|null} The manifest, or null when it could not be read
+ */
+function lintManifest(dir, problems) {
+  const file = path.join(dir, MANIFEST_FILE);
+  const report = createReporter(problems, file);
+
+  let manifest;
+  try {
+    manifest = readManifest(file);
+  } catch (error) {
+    const prefix = `Invalid template manifest ${file}: `;
+    (error.message.startsWith(prefix)
+      ? error.message.slice(prefix.length).split('; ')
+      : [error.message]
+    ).forEach(message => report.error(null, 'manifest', message));
+    return null;
+  }
+
+  const instructions = manifest.instructions || 'instructions.md';
+  if (!fs.existsSync(path.join(dir, instructions))) {
+    report.error(
+      null,
+      'manifest',
+      `instructions file "${instructions}" not found`
+    );
+  }
+  if (manifest.files && !fs.existsSync(path.join(dir, manifest.files))) {
+    report.error(
+      null,
+      'manifest',
+      `files directory "${manifest.files}" not found`
+    );
+  }
+  if (manifest.tokens && !fs.existsSync(path.join(dir, manifest.tokens))) {
+    report.error(
+      null,
+      'manifest',
+      `design tokens file "${manifest.tokens}" not found`
+    );
+  }
+
+  Object.keys(manifest.variables || {}).forEach(name => {
+    if (!NAME_PATTERN.test(name)) {
+      report.error(
+        null,
+        'manifest',
+        `variable "${name}" is not an upper-case name`
+      );
+    }
+  });
+  Object.keys(manifest.features || {}).forEach(name => {
+    const feature = manifest.features[name];
+    if (!FEATURE_PATTERN.test(name)) {
+      report.error(
+        null,
+        'manifest',
+        `feature "${name}" is not a lower-case name`
+      );
+    } else if (
+      feature &&
+      feature.default !== undefined &&
+      typeof feature.default !== 'boolean'
+    ) {
+      report.error(
+        null,
+        'manifest',
+        `feature "${name}" must default to true or false`
+      );
+    }
+  });
+  return manifest;
+}
+
+/**
+ * One `#` title first, no skipped levels, no empty headings
+ */
+function lintHeadings(content, report) {
+  const headings = parseHeadings(content);
+  const titles = headings.filter(heading => heading.level === 1);
+
+  if (titles.length === 0) {
+    report.error(1, 'headings', 'missing a "# " title');
+  } else if (headings[0].level !== 1) {
+    report.warning(
+      headings[0].line,
+      'headings',
+      'the "# " title should be the first heading'
+    );
+  }
+  titles.slice(1).forEach(heading => {
+    report.error(
+      heading.line,
+      'headings',
+      `second "# " title "${heading.text}" (first on line ${titles[0].line})`
+    );
+  });
+
+  headings.forEach((heading, index) => {
+    if (!heading.text.trim()) {
+      report.error(heading.line, 'headings', 'empty heading');
+    }
+    const previous = headings[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      report.warning(
+        heading.line,
+        'headings',
+        `heading level jumps from h${previous.level} to h${heading.level}`
+      );
+    }
+  });
+}
+
+/**
+ * Links to `#anchor` must match a heading of the same document
+ * @param {string} content - The file holding the links
+ * @param {Object} report - See `createReporter`
+ * @param {string} [document] - The rendered document, when it differs
+ */
+function lintAnchors(content, report, document = content) {
+  const slug = createSlugger();
+  const anchors = new Set(
+    parseHeadings(document).map(({ text }) => slug(text))
+  );
+
+  eachLine(content, (line, index, inFence) => {
+    if (inFence) return;
+    for (const match of line.matchAll(LINK_PATTERN)) {
+      if (!anchors.has(decodeURIComponent(match[1]))) {
+        report.error(
+          index + 1,
+          'anchors',
+          `link to "#${match[1]}" does not match any heading`
+        );
+      }
+    }
+  });
+}
+
+function lintFences(content, report) {
+  parseFences(content)
+    .filter(fence => !fence.closed)
+    .forEach(fence => {
+      report.error(fence.line, 'fences', 'code fence is never closed');
+    });
+}
+
+/**
+ * Example code must parse in the language its fence names
+ */
+function lintCode(content, manifest, report) {
+  const { errors, skipped } = validateCodeBlocks(content, {
+    variables: manifest.variables,
+  });
+  errors.forEach(({ line, language, message }) => {
+    report.error(line, 'code', `${language} code block: ${message}`);
+  });
+  skipped.forEach(language => {
+    report.warning(
+      null,
+      'code',
+      `${language} code blocks were not checked (no interpreter found)`
+    );
+  });
+}
+
+/**
+ * Directives must parse, and a section id should only be used once
+ */
+function lintDirectives(content, manifest, report, source) {
+  const features = {};
+  Object.keys(manifest.features || {}).forEach(name => {
+    features[name] = true;
+  });
+  try {
+    applyConditionals(content, features, source);
+  } catch (error) {
+    reportThrown(report, 'conditionals', error, source);
+  }
+
+  let sections;
+  try {
+    ({ scoped: sections } = splitSections(content, source));
+  } catch (error) {
+    reportThrown(report, 'sections', error, source);
+    return;
+  }
+  sections.forEach(section => {
+    section.markers.slice(1).forEach(line => {
+      report.warning(
+        line,
+        'sections',
+        `section id "${section.id}" is also used on line ${section.markers[0]}; the sections are merged into one rule file`
+      );
+    });
+  });
+}
+
+/**
+ * Every placeholder needs a declared variable; declared ones should be used
+ * (variables the template inherits are used by its parent)
+ */
+function lintPlaceholders(dir, sources, manifest, problems, parent) {
+  const inherited = parent ? parent.variables : {};
+  const declared = { ...inherited, ...manifest.variables };
+  const used = new Set();
+  const filesDir = path.join(dir, manifest.files || 'template-files');
+  const files = [
+    ...sources,
+    ...listFiles(fs.existsSync(filesDir) ? filesDir : null).map(file =>
+      path.join(filesDir, file)
+    ),
+  ];
+
+  files.forEach(file => {
+    const report = createReporter(problems, file);
+    findPlaceholders(fs.readFileSync(file, 'utf-8')).forEach(
+      ({ name, line }) => {
+        used.add(name);
+        if (!declared[name]) {
+          report.error(
+            line,
+            'placeholders',
+            `{{${name}}} is not declared in ${MANIFEST_FILE}`
+          );
+        } else if (declared[name].default === undefined) {
+          report.warning(
+            line,
+            'placeholders',
+            `{{${name}}} has no default and stays unresolved unless a value is given`
+          );
+        }
+      }
+    );
+  });
+
+  const report = createReporter(problems, path.join(dir, MANIFEST_FILE));
+  Object.keys(manifest.variables || {})
+    .filter(name => !used.has(name) && !inherited[name])
+    .forEach(name => {
+      report.warning(null, 'placeholders', `variable "${name}" is never used`);
+    });
+}
+
+/**
+ * Section priorities must name `##` headings of the instructions
+ */
+function lintPriorities(dir, content, manifest, problems) {
+  const anchors = new Set(
+    parseHeadings(content)
+      .filter(({ level }) => level === 2)
+      .map(({ text }) => slugify(text))
+  );
+  const report = createReporter(problems, path.join(dir, MANIFEST_FILE));
+  Object.keys(manifest.sections || {})
+    .filter(anchor => !anchors.has(anchor))
+    .forEach(anchor => {
+      report.error(
+        null,
+        'manifest',
+        `"sections.${anchor}" does not match any ## heading`
+      );
+    });
+}
+
+/**
+ * Keep the instructions, and each `##` section, within the size budgets
+ * @param {boolean} [resolved] - `content` is resolved through a parent or
+ *   has partials included, so its lines are not the file's
+ */
+function lintBudgets(content, budgets, report, resolved = false) {
+  const bytes = Buffer.byteLength(content);
+  if (bytes > budgets.maxBytes) {
+    report.error(
+      null,
+      'budgets',
+      `${bytes} bytes exceeds the budget of ${budgets.maxBytes}`
+    );
+  }
+
+  const sections = parseHeadings(content).filter(({ level }) => level <= 2);
+  const total = content.split('\n').length;
+  sections.forEach((heading, index) => {
+    if (heading.level !== 2) return;
+    const end = sections[index + 1] ? sections[index + 1].line : total + 1;
+    const lines = end - heading.line;
+    if (lines > budgets.maxSectionLines) {
+      report.error(
+        resolved ? null : heading.line,
+        'budgets',
+        `section "${heading.text}" has ${lines} lines, over the budget of ${budgets.maxSectionLines}`
+      );
+    }
+  });
+}
+
+/**
+ * Look up the installed template a manifest extends
+ * @returns {Object|null} Its registry entry, or null when it is missing
+ */
+function lintParent(id, problems, dir) {
+  try {
+    const { category, template } = parseTemplateId(id);
+    return resolveTemplate(category, template, { abstract: true });
+  } catch (error) {
+    createReporter(problems, path.join(dir, MANIFEST_FILE)).error(
+      null,
+      'inheritance',
+      `extends ${id}: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Every partial the instructions include must exist, without a cycle
+ * @returns {{content: string, files: Array<Object>}|null} See
+ *   `expandIncludes`, or null when the instructions cannot be expanded
+ */
+function lintIncludes(dir, content, report, source) {
+  // Like the registry: the template's own root first, then the others
+  const partials = {
+    ...Object.assign({}, ...getTemplateDirs().map(findPartials)),
+    ...findPartials(path.dirname(path.dirname(dir))),
+  };
+  try {
+    return expandIncludes(content, source, partials);
+  } catch (error) {
+    reportThrown(report, 'partials', error, source);
+    return null;
+  }
+}
+
+/**
+ * Partials are checked like the instructions, each against its own lines
+ */
+function lintPartials(files, manifest, problems) {
+  files.forEach(({ sourcePath, raw }) => {
+    const report = createReporter(problems, sourcePath);
+    lintFences(raw, report);
+    lintCode(raw, manifest, report);
+    lintDirectives(raw, manifest, report, sourcePath);
+  });
+}
+
+/**
+ * Design tokens must be valid once filled with the variables' defaults, and
+ * `@tokens` directives need some (of the template's own or its parent's)
+ */
+function lintTokens(dir, content, manifest, parent, problems, source) {
+  const file = manifest.tokens && path.join(dir, manifest.tokens);
+  const tokens = file
+    ? { sourcePath: file, source: file }
+    : parent && parent.tokens;
+  if (tokens && !fs.existsSync(tokens.sourcePath)) return;
+
+  let design = null;
+  if (tokens) {
+    try {
+      design = readDesignTokens([
+        { entry: { tokens }, variables: resolveVariables(manifest.variables) },
+      ]);
+    } catch (error) {
+      const prefix = `Invalid design tokens ${tokens.source}: `;
+      createReporter(problems, tokens.sourcePath).error(
+        null,
+        'tokens',
+        error.message.startsWith(prefix)
+          ? error.message.slice(prefix.length)
+          : error.message
+      );
+      return;
+    }
+  }
+  try {
+    expandTokenDirectives(content, design, source);
+  } catch (error) {
+    reportThrown(createReporter(problems, source), 'tokens', error, source);
+  }
+}
+
+/**
+ * The section directives must apply to the parent
+ * @param {Object} link - The template, as in `readTemplateChain`
+ * @returns {string|null} The resolved document, or null when it cannot be
+ *   resolved
+ */
+function lintInheritance(parent, link, report) {
+  try {
+    return resolveChain([...readTemplateChain(parent), link]);
+  } catch (error) {
+    reportThrown(report, 'inheritance', error, link.source);
+    return null;
+  }
+}
+
+/**
+ * Lint one template directory
+ * @param {string} dir - Directory holding `template.json`
+ * @param {Object} [options] - See `lintTemplates`
+ * @returns {{id: string, dir: string, problems: Array<Object>}}
+ */
+function lintTemplate(dir, options = {}) {
+  const budgets = { ...DEFAULT_BUDGETS, ...options.budgets };
+  const problems = [];
+  const manifest = lintManifest(dir, problems) || {};
+  const instructionsFile = path.join(
+    dir,
+    typeof manifest.instructions === 'string'
+      ? manifest.instructions
+      : 'instructions.md'
+  );
+
+  if (fs.existsSync(instructionsFile)) {
+    const content = fs.readFileSync(instructionsFile, 'utf-8');
+    const report = createReporter(problems, instructionsFile);
+    const parent = manifest.extends
+      ? lintParent(manifest.extends, problems, dir)
+      : null;
+    const merged = parent
+      ? {
+          ...manifest,
+          variables: { ...parent.variables, ...manifest.variables },
+          features: { ...parent.features, ...manifest.features },
+          sections: { ...parent.sections, ...manifest.sections },
+        }
+      : manifest;
+    const included = lintIncludes(dir, content, report, instructionsFile);
+    const partials = included ? included.files : [];
+    const expanded = included ? included.content : null;
+    const document =
+      parent && expanded !== null
+        ? lintInheritance(
+            parent,
+            {
+              id: null,
+              source: instructionsFile,
+              raw: expanded,
+              original: content,
+              partials,
+            },
+            report
+          )
+        : expanded;
+
+    // The title of an extending template usually comes from its parent
+    if (!manifest.extends) lintHeadings(content, report);
+    lintAnchors(content, report, document || content);
+    lintFences(content, report);
+    lintCode(content, merged, report);
+    lintDirectives(content, merged, report, instructionsFile);
+    lintPartials(partials, merged, problems);
+    lintTokens(dir, content, merged, parent, problems, instructionsFile);
+    lintPlaceholders(
+      dir,
+      [
+        instructionsFile,
+        ...partials.map(partial => partial.sourcePath),
+        ...(typeof manifest.tokens === 'string' &&
+        fs.existsSync(path.join(dir, manifest.tokens))
+          ? [path.join(dir, manifest.tokens)]
+          : []),
+      ],
+      manifest,
+      problems,
+      parent
+    );
+    if (document) {
+      lintPriorities(dir, document, manifest, problems);
+      lintBudgets(
+        document,
+        budgets,
+        report,
+        Boolean(parent) || partials.length > 0
+      );
+    }
+  }
+
+  problems.sort(
+    (a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0)
+  );
+  return {
+    id: path
+      .relative(path.dirname(path.dirname(dir)), dir)
+      .split(path.sep)
+      .join('/'),
+    dir,
+    problems,
+  };
+}
+
+/**
+ * Find the template directories at or below a path: a template directory, a
+ * category directory or a whole template root
+ */
+function findTemplateDirs(target, depth = 2) {
+  if (fs.existsSync(path.join(target, MANIFEST_FILE))) return [target];
+  if (depth === 0) return [];
+  return fs
+    .readdirSync(target, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry =>
+      findTemplateDirs(path.join(target, entry.name), depth - 1)
+    );
+}
+
+/**
+ * Lint every template at or below a path
+ * @param {string} target - A template directory, a category directory or a
+ *   template root such as the bundled `templates/`
+ * @param {Object} [options]
+ * @param {Object} [options.budgets] - `maxBytes` for the instructions file
+ *   (default 64 KiB) and `maxSectionLines` for each `##` section (default 600)
+ * @returns {Array<{id: string, dir: string, problems: Array<{file: string,
+ *   line: number|null, severity: string, rule: string, message: string}>}>}
+ *   `severity` is `error` or `warning`; `rule` is one of manifest,
+ *   inheritance, partials, headings, anchors, fences, code, conditionals,
+ *   sections, tokens, placeholders or budgets
+ */
+function lintTemplates(target, options = {}) {
+  const root = path.resolve(target);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Template directory not found: ${target}`);
+  }
+
+  const dirs = findTemplateDirs(root);
+  if (dirs.length === 0) {
+    throw new Error(
+      `No templates found in ${target} (expected ${MANIFEST_FILE} in <category>/<template>/)`
+    );
+  }
+  return dirs.map(dir => lintTemplate(dir, options));
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  lintTemplate,
+  lintTemplates,
+};
@@ -0,0 +1,229 @@
+const MarkdownIt = require('markdown-it');
+const { createSlugger } = require('./markdown');
+
+/**
+ * Markdown document tree
+ * Parses markdown with markdown-it (CommonMark plus GitHub tables and
+ * strikethrough) and nests the blocks under their headings. HTML comments
+ * are dropped: in generated instructions they only hold directives and
+ * stamps. Inline markdown (emphasis, code spans, links) is kept as written in
+ * each block's `text`; lib/formats.js renders it.
+ *
+ * Every block records the 1-based `line` it starts on, and every section the
+ * GitHub anchor of its heading as `id`, so links such as `[x](#testing)` in
+ * the markdown resolve in any rendering of the tree. README.md lists the
+ * blocks and their fields.
+ */
+
+const parser = new MarkdownIt({ html: true });
+
+const TASK_PATTERN = /^\[([ xX])\]\s+/;
+
+function lineOf(token) {
+  return token.map ? token.map[0] + 1 : null;
+}
+
+function alignment(token) {
+  const match = (token.attrGet('style') || '').match(/text-align:\s*(\w+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Collect a list; items hold their own blocks
+ * @returns {{block: Object, next: number}} The list and the index of the
+ *   first token after it
+ */
+function readList(tokens, index) {
+  const open = tokens[index];
+  const ordered = open.type === 'ordered_list_open';
+  const closing = ordered ? 'ordered_list_close' : 'bullet_list_close';
+  const items = [];
+  let i = index + 1;
+
+  while (tokens[i].type !== closing) {
+    const { blocks, next } = readBlocks(tokens, i + 1, 'list_item_close');
+    const lead = blocks[0] && blocks[0].type === 'paragraph' ? blocks[0] : null;
+    const task = lead && lead.text.match(TASK_PATTERN);
+    items.push({
+      text: lead ? lead.text.slice(task ? task[0].length : 0) : '',
+      ...(task ? { checked: task[1] !== ' ' } : {}),
+      blocks: lead ? blocks.slice(1) : blocks,
+      line: lineOf(tokens[i]),
+    });
+    i = next + 1;
+  }
+
+  const block = {
+    type: 'list',
+    ordered,
+    ...(ordered ? { start: parseInt(open.attrGet('start') || '1', 10) } : {}),
+    items,
+    line: lineOf(open),
+  };
+  return { block, next: i + 1 };
+}
+
+/**
+ * Collect a table: its header, the alignment of each column and its rows
+ * @returns {{block: Object, next: number}}
+ */
+function readTable(tokens, index) {
+  const align = [];
+  const rows = [];
+  let i = index + 1;
+
+  for (; tokens[i].type !== 'table_close'; i += 1) {
+    const token = tokens[i];
+    if (token.type === 'tr_open') rows.push([]);
+    if (token.type === 'th_open') align.push(alignment(token));
+    if (token.type === 'inline') rows[rows.length - 1].push(token.content);
+  }
+
+  const [header, ...body] = rows;
+  const block = {
+    type: 'table',
+    align,
+    header,
+    rows: body,
+    line: lineOf(tokens[index]),
+  };
+  return { block, next: i + 1 };
+}
+
+/**
+ * Turn markdown-it block tokens into blocks, up to a closing token
+ * @param {Array<Object>} tokens - markdown-it tokens
+ * @param {number} index - First token to read
+ * @param {string} [closing] - Token type that ends the blocks, e.g.
+ *   `list_item_close`
+ * @returns {{blocks: Array<Object>, next: number}} The blocks and the index
+ *   of the closing token
+ */
+function readBlocks(tokens, index, closing) {
+  const blocks = [];
+  let i = index;
+
+  while (i < tokens.length && tokens[i].type !== closing) {
+    const token = tokens[i];
+    const line = lineOf(token);
+
+    switch (token.type) {
+      case 'heading_open':
+        blocks.push({
+          type: 'heading',
+          level: parseInt(token.tag.slice(1), 10),
+          text: tokens[i + 1].content,
+          line,
+        });
+        i += 3;
+        break;
+      case 'paragraph_open':
+        blocks.push({ type: 'paragraph', text: tokens[i + 1].content, line });
+        i += 3;
+        break;
+      case 'fence':
+      case 'code_block':
+        blocks.push({
+          type: 'code',
+          language: token.info.trim().split(/\s+/)[0] || null,
+          code: token.content.replace(/\n$/, ''),
+          line,
+        });
+        i += 1;
+        break;
+      case 'bullet_list_open':
+      case 'ordered_list_open': {
+        const { block, next } = readList(tokens, i);
+        blocks.push(block);
+        i = next;
+        break;
+      }
+      case 'table_open': {
+        const { block, next } = readTable(tokens, i);
+        blocks.push(block);
+        i = next;
+        break;
+      }
+      case 'blockquote_open': {
+        const quoted = readBlocks(tokens, i + 1, 'blockquote_close');
+        blocks.push({ type: 'blockquote', blocks: quoted.blocks, line });
+        i = quoted.next + 1;
+        break;
+      }
+      case 'hr':
+        blocks.push({ type: 'rule', line });
+        i += 1;
+        break;
+      case 'html_block':
+        // Other HTML is kept as text; lib/formats.js escapes it
+        if (!token.content.trim().startsWith('<!--')) {
+          blocks.push({ type: 'paragraph', text: token.content.trim(), line });
+        }
+        i += 1;
+        break;
+      default:
+        i += 1;
+    }
+  }
+  return { blocks, next: i };
+}
+
+/**
+ * Parse markdown into blocks
+ * @param {string} content - Markdown
+ * @returns {Array<Object>} Blocks of the types `heading` ({level, text}),
+ *   `paragraph` ({text}), `code` ({language, code}), `list` ({ordered,
+ *   start, items: [{text, checked, blocks}]}), `table` ({align, header,
+ *   rows}), `blockquote` ({blocks}) and `rule`, each with its `line`
+ */
+function parseBlocks(content) {
+  return readBlocks(parser.parse(content, {}), 0).blocks;
+}
+
+/**
+ * Parse a markdown document into sections nested by heading level
+ * @param {string} content - Markdown
+ * @returns {{title: string|null, blocks: Array<Object>,
+ *   sections: Array<Object>}} A document that opens with its only `#`
+ *   heading is titled by it, and its sections are those under that heading.
+ *   Sections are `{id, title, level, line, blocks, sections}`; see
+ *   `parseBlocks` for the blocks
+ */
+function parseDocument(content) {
+  const slug = createSlugger();
+  const root = { title: null, blocks: [], sections: [] };
+  const open = [{ level: 0, node: root }];
+
+  parseBlocks(content).forEach(block => {
+    if (block.type !== 'heading') {
+      open[open.length - 1].node.blocks.push(block);
+      return;
+    }
+    const section = {
+      id: slug(block.text),
+      title: block.text,
+      level: block.level,
+      line: block.line,
+      blocks: [],
+      sections: [],
+    };
+    while (open[open.length - 1].level >= block.level) open.pop();
+    open[open.length - 1].node.sections.push(section);
+    open.push({ level: block.level, node: section });
+  });
+
+  const [only] = root.sections;
+  if (
+    root.blocks.length === 0 &&
+    root.sections.length === 1 &&
+    only.level === 1
+  ) {
+    return { title: only.title, blocks: only.blocks, sections: only.sections };
+  }
+  return root;
+}
+
+module.exports = {
+  parseBlocks,
+  parseDocument,
+};
@@ -0,0 +1,234 @@
+/**
+ * Markdown helpers shared by the generator
+ * Templates are plain markdown with fenced code blocks that frequently contain
+ * `#` lines (shell comments, nested markdown), so every helper here tracks
+ * fences and only treats headings outside of them as structure.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Walk the lines of a markdown document, reporting whether each is in a fence
+ * @param {string} content - Markdown source
+ * @param {Function} visit - Called with (line, index, inFence, edge), where
+ *   `edge` is `open` or `close` on the fence lines themselves
+ */
+function eachLine(content, visit) {
+  let fence = null;
+  content.split('\n').forEach((line, index) => {
+    const match = line.match(FENCE_PATTERN);
+    if (match) {
+      const marker = match[1];
+      if (!fence) {
+        fence = marker;
+        visit(line, index, true, 'open');
+        return;
+      }
+      // A closing fence matches the opener and carries no info string
+      if (
+        marker[0] === fence[0] &&
+        marker.length >= fence.length &&
+        !match[2].trim()
+      ) {
+        visit(line, index, true, 'close');
+        fence = null;
+        return;
+      }
+    }
+    visit(line, index, fence !== null);
+  });
+}
+
+/**
+ * List the fenced code blocks of a document
+ * @param {string} content - Markdown source
+ * @returns {Array<{line: number, info: string, code: string, closed: boolean}>}
+ *   `line` is the 1-based line of the opening fence and `info` its info
+ *   string; a block left open runs to the end of the document
+ */
+function parseFences(content) {
+  const fences = [];
+  let current = null;
+  eachLine(content, (line, index, inFence, edge) => {
+    if (edge === 'open') {
+      current = {
+        line: index + 1,
+        info: line.match(FENCE_PATTERN)[2].trim(),
+        lines: [],
+        closed: false,
+      };
+      fences.push(current);
+    } else if (edge === 'close') {
+      current.closed = true;
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+  return fences.map(({ lines, ...fence }) => ({
+    ...fence,
+    code: lines.join('\n'),
+  }));
+}
+
+/**
+ * Parse a heading line outside of a fence
+ * @returns {{level: number, text: string}|null}
+ */
+function parseHeading(line) {
+  const match = line.match(HEADING_PATTERN);
+  if (!match) return null;
+  return { level: match[1].length, text: match[2] };
+}
+
+/**
+ * List every heading in a document
+ * @param {string} content - Markdown source
+ * @returns {Array<{level: number, text: string, line: number}>} 1-based lines
+ */
+function parseHeadings(content) {
+  const headings = [];
+  eachLine(content, (line, index, inFence) => {
+    if (inFence) return;
+    const heading = parseHeading(line);
+    if (heading) headings.push({ ...heading, line: index + 1 });
+  });
+  return headings;
+}
+
+/**
+ * Split a document into the text before the first heading of `level` and one
+ * entry per heading of that level (each running until the next heading of the
+ * same or a higher level)
+ * @param {string} content - Markdown source
+ * @param {number} [level] - Heading level to split on
+ * @returns {{preamble: string, sections: Array<Object>, epilogue: string}}
+ */
+function parseSections(content, level = 2) {
+  const lines = content.split('\n');
+  const sections = [];
+  const preamble = [];
+  const epilogue = [];
+  let current = null;
+  let closed = false;
+
+  eachLine(content, (line, index, inFence) => {
+    const heading = inFence ? null : parseHeading(line);
+
+    if (heading && heading.level === level) {
+      current = {
+        title: heading.text,
+        level,
+        heading: line,
+        line: index + 1,
+        lines: [],
+      };
+      sections.push(current);
+      closed = false;
+      return;
+    }
+
+    if (heading && heading.level < level && current) {
+      closed = true;
+    }
+
+    if (!current) {
+      preamble.push(lines[index]);
+    } else if (closed) {
+      epilogue.push(lines[index]);
+    } else {
+      current.lines.push(lines[index]);
+    }
+  });
+
+  return {
+    preamble: preamble.join('\n'),
+    sections: sections.map(({ lines: body, ...section }) => ({
+      ...section,
+      body: body.join('\n'),
+      content: [section.heading, ...body].join('\n'),
+    })),
+    epilogue: epilogue.join('\n'),
+  };
+}
+
+/**
+ * Move every heading outside of fences by `by` levels (clamped to 1..6)
+ */
+function shiftHeadings(content, by) {
+  const out = [];
+  eachLine(content, (line, index, inFence) => {
+    const heading = inFence ? null : parseHeading(line);
+    if (!heading) {
+      out.push(line);
+      return;
+    }
+    const level = Math.min(6, Math.max(1, heading.level + by));
+    out.push(`${'#'.repeat(level)} ${heading.text}`);
+  });
+  return out.join('\n');
+}
+
+/**
+ * GitHub-style heading anchor
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Create a slugger that de-duplicates anchors the way GitHub does (`-1`, `-2`)
+ */
+function createSlugger() {
+  const counts = new Map();
+  return text => {
+    const base = slugify(text);
+    const count = counts.get(base) || 0;
+    counts.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+}
+
+/**
+ * Build a nested markdown list linking to the headings of a document
+ * @param {string} content - Markdown source the anchors should resolve in
+ * @param {Object} [options]
+ * @param {number} [options.minLevel] - Shallowest heading level to include
+ * @param {number} [options.maxLevel] - Deepest heading level to include
+ * @param {string[]} [options.reserved] - Headings that precede `content` in
+ *   the final document and therefore consume anchors first
+ * @returns {string} Markdown list
+ */
+function buildToc(content, options = {}) {
+  const { minLevel = 2, maxLevel = 3, reserved = [] } = options;
+  const slug = createSlugger();
+  reserved.forEach(text => slug(text));
+
+  return parseHeadings(content)
+    .map(heading => ({ ...heading, anchor: slug(heading.text) }))
+    .filter(h => h.level >= minLevel && h.level <= maxLevel)
+    .map(h => {
+      const indent = '  '.repeat(h.level - minLevel);
+      return `${indent}- [${h.text.trim()}](#${h.anchor})`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  FENCE_PATTERN,
+  eachLine,
+  parseFences,
+  parseHeading,
+  parseHeadings,
+  parseSections,
+  shiftHeadings,
+  slugify,
+  createSlugger,
+  buildToc,
+};
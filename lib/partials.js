@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const { eachLine } = require('./markdown');
+
+/**
+ * Partials
+ * Guidance shared by several templates lives once, as markdown files in the
+ * `partials/` directory of a template root, and is pulled in where a
+ * template (or another partial) says:
+ *
+ *   <!-- @include security/headers -->
+ *
+ * for `partials/security/headers.md`. Partials are expanded before anything
+ * else, so their conditional blocks and placeholders use the features and
+ * variables of the template that includes them. A template's own root is
+ * searched first, then the other roots (see lib/templates.js). An
+ * `@include` line inside a fenced code block is an example and is kept as
+ * written.
+ */
+
+const PARTIALS_DIR = 'partials';
+const INCLUDE_PATTERN = /^\s*<!--\s*@include(?:\s+(.*?))?\s*-->\s*$/;
+const NAME_PATTERN = /^[a-z0-9][\w-]*(\/[a-z0-9][\w-]*)*$/i;
+
+/**
+ * Replace `@include` lines with their partials, recursively
+ * @param {string} content - Markdown
+ * @param {string} source - Path of the file `content` came from, used in
+ *   error messages
+ * @param {Object<string, {sourcePath: string, source: string}>} partials -
+ *   Partials by name (see `findPartials` in lib/templates.js)
+ * @returns {{content: string, files: Array<{name: string, source: string,
+ *   sourcePath: string, raw: string}>}} The expanded markdown and each
+ *   partial it used, once
+ */
+function expandIncludes(content, source, partials, trail = [], files = []) {
+  const output = [];
+  eachLine(content, (line, index, inFence) => {
+    const match = !inFence && line.match(INCLUDE_PATTERN);
+    if (!match) {
+      output.push(line);
+      return;
+    }
+
+    const at = `${source}:${index + 1}`;
+    const name = (match[1] || '').replace(/\.md$/, '');
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        `${at} @include expects a partial name such as "security/headers"`
+      );
+    }
+    if (trail.includes(name)) {
+      throw new Error(
+        `${at} @include ${name} is circular: ${[
+          ...trail.slice(trail.indexOf(name)),
+          name,
+        ].join(' → ')}`
+      );
+    }
+    const partial = partials[name];
+    if (!partial) {
+      throw new Error(
+        `${at} @include ${name}: no ${PARTIALS_DIR}/${name}.md in the template roots`
+      );
+    }
+
+    const raw = fs.readFileSync(partial.sourcePath, 'utf-8');
+    if (!files.some(file => file.sourcePath === partial.sourcePath)) {
+      files.push({ name, ...partial, raw });
+    }
+    output.push(
+      expandIncludes(
+        raw,
+        partial.source,
+        partials,
+        [...trail, name],
+        files
+      ).content.replace(/\n$/, '')
+    );
+  });
+  return { content: output.join('\n'), files };
+}
+
+module.exports = {
+  PARTIALS_DIR,
+  INCLUDE_PATTERN,
+  expandIncludes,
+};
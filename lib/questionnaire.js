@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+const inquirer = require('inquirer');
+const { ROOT_DIR } = require('./templates');
+const { eachLine, parseHeading } = require('./markdown');
+
+const QUESTIONS_FILE = path.join(ROOT_DIR, 'questions.md');
+const ANSWERS_FILE = '.github/prd-answers.json';
+const QUESTION_PATTERN = /^\s*[-*]\s+\*\*(.+?)\*\*\s*(?:\((.*?)\))?\s*$/;
+// Answers files are keyed by these, so they never change with the wording
+const KEY_PATTERN = /\s*<!--\s*key:\s*(\S*)\s*-->\s*$/;
+const KEY_NAME_PATTERN = /^[a-z][A-Za-z0-9]*$/;
+
+// Sections offered by default in the interactive walk-through
+const DEFAULT_SECTIONS = [
+  'projectOverviewVision',
+  'technicalRequirements',
+  'userExperienceDesign',
+  'functionalRequirements',
+];
+
+/**
+ * Split the `<!-- key: name -->` comment off a heading or question line
+ * @returns {{text: string, key: string|null}}
+ */
+function splitKey(line, at) {
+  const match = line.match(KEY_PATTERN);
+  if (!match) return { text: line, key: null };
+  if (!KEY_NAME_PATTERN.test(match[1])) {
+    throw new Error(`${at} key "${match[1]}" must be camelCase`);
+  }
+  return { text: line.slice(0, match.index), key: match[1] };
+}
+
+/**
+ * Parse questions.md into sections, groups and questions. Sections and
+ * questions declare their keys in a comment at the end of their line:
+ *
+ *   ## 1. Project Overview & Vision <!-- key: projectOverviewVision -->
+ *   - **Who is the target audience?** <!-- key: targetAudience -->
+ *
+ * @param {string} [file] - Questionnaire markdown path
+ * @returns {Promise<{file: string, sections: Array<Object>}>}
+ */
+async function loadQuestionnaire(file = QUESTIONS_FILE) {
+  const content = await fs.readFile(file, 'utf-8');
+  const label = path.basename(file);
+  const sections = [];
+  let section = null;
+  let group = null;
+
+  eachLine(content, (line, index, inFence) => {
+    if (inFence) return;
+    const at = `${label}:${index + 1}`;
+    const { text, key } = splitKey(line, at);
+
+    const heading = parseHeading(text);
+    if (heading && heading.level === 2) {
+      section = {
+        key,
+        title: heading.text.replace(/^\d+\.\s*/, ''),
+        line: index + 1,
+        groups: [],
+      };
+      sections.push(section);
+      group = null;
+      return;
+    }
+
+    if (heading && heading.level === 3 && section) {
+      group = { title: heading.text, line: index + 1, questions: [] };
+      section.groups.push(group);
+      return;
+    }
+
+    const match = text.match(QUESTION_PATTERN);
+    if (match && group) {
+      if (!section.key) {
+        throw new Error(
+          `${label}:${section.line} section "${section.title}" has questions but no <!-- key: ... -->`
+        );
+      }
+      if (!key) {
+        throw new Error(`${at} question has no <!-- key: ... -->`);
+      }
+      const taken = section.groups
+        .flatMap(g => g.questions)
+        .find(q => q.key === key);
+      if (taken) {
+        throw new Error(
+          `${at} key "${key}" is already used in this section (line ${taken.line})`
+        );
+      }
+      group.questions.push({
+        key,
+        text: match[1],
+        hint: match[2] || null,
+        line: index + 1,
+      });
+    }
+  });
+
+  const withQuestions = sections.filter(s => s.groups.length > 0);
+  withQuestions.forEach((s, index) => {
+    const taken = withQuestions
+      .slice(0, index)
+      .find(other => other.key === s.key);
+    if (taken) {
+      throw new Error(
+        `${label}:${s.line} key "${s.key}" is already used by line ${taken.line}`
+      );
+    }
+  });
+  return { file, sections: withQuestions };
+}
+
+/**
+ * Walk the user through the questionnaire with inquirer
+ * @param {Object} questionnaire - Result of `loadQuestionnaire`
+ * @returns {Promise<Object>} Answers keyed by section and question key
+ */
+async function promptQuestionnaire(questionnaire) {
+  const { projectName, sectionKeys } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'projectName',
+      message: 'Project name:',
+      validate: value => (value.trim() ? true : 'A project name is required'),
+    },
+    {
+      type: 'checkbox',
+      name: 'sectionKeys',
+      message: 'Which parts of the PRD questionnaire do you want to answer?',
+      choices: questionnaire.sections.map(s => ({
+        name: s.title,
+        value: s.key,
+        checked: DEFAULT_SECTIONS.includes(s.key),
+      })),
+    },
+  ]);
+
+  const answers = { projectName: projectName.trim() };
+
+  for (const section of questionnaire.sections) {
+    if (!sectionKeys.includes(section.key)) continue;
+
+    console.log(`\n${section.title} (leave blank to skip a question)`);
+    const prompts = [];
+    section.groups.forEach(g =>
+      g.questions.forEach(q => {
+        prompts.push({
+          type: 'input',
+          name: q.key,
+          message: q.hint ? `${q.text} (${q.hint})` : q.text,
+        });
+      })
+    );
+
+    const sectionAnswers = await inquirer.prompt(prompts);
+    const filled = {};
+    Object.keys(sectionAnswers).forEach(key => {
+      const value = String(sectionAnswers[key]).trim();
+      if (value) filled[key] = value;
+    });
+    if (Object.keys(filled).length > 0) {
+      answers[section.key] = filled;
+    }
+  }
+
+  return answers;
+}
+
+function formatAnswer(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => `- ${item}`).join('\n');
+  }
+  return String(value).trim();
+}
+
+/**
+ * Render answers as the project-specific PRD that precedes the instructions
+ * @param {Object} answers - Answers keyed by section and question key
+ * @param {Object} questionnaire - Result of `loadQuestionnaire`
+ * @returns {string} Markdown
+ */
+function renderProjectPRD(answers, questionnaire) {
+  const name = answers.projectName || 'Untitled Project';
+  const lines = [
+    `# Product Requirements - ${name}`,
+    '',
+    '> Project context gathered with the clean-vibe PRD questionnaire. Treat these requirements as the source of truth where they are more specific than the stack guidance that follows.',
+    '',
+  ];
+
+  questionnaire.sections.forEach(section => {
+    const sectionAnswers = answers[section.key];
+    if (!sectionAnswers) return;
+
+    lines.push(`## ${section.title}`, '');
+    section.groups.forEach(group => {
+      const answered = group.questions.filter(
+        q => sectionAnswers[q.key] !== undefined && sectionAnswers[q.key] !== ''
+      );
+      if (answered.length === 0) return;
+
+      lines.push(`### ${group.title}`, '');
+      answered.forEach(q => {
+        lines.push(
+          `**${q.text}**`,
+          '',
+          formatAnswer(sectionAnswers[q.key]),
+          ''
+        );
+      });
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Store answers next to the generated instructions so they can be reused
+ * @returns {Promise<string>} Path of the answers file
+ */
+async function saveAnswers(targetDir, answers) {
+  const answersPath = path.join(targetDir, ANSWERS_FILE);
+  await fs.ensureDir(path.dirname(answersPath));
+  await fs.writeJson(answersPath, answers, { spaces: 2 });
+  return answersPath;
+}
+
+module.exports = {
+  QUESTIONS_FILE,
+  ANSWERS_FILE,
+  loadQuestionnaire,
+  promptQuestionnaire,
+  renderProjectPRD,
+  saveAnswers,
+};
@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseTemplateId, resolveTemplate, listFiles } = require('./templates');
+const { substituteVariables, resolveVariables } = require('./variables');
+const { unifiedDiff } = require('./diff');
+
+/**
+ * Project scaffolding
+ * A template may ship a starter tree next to its instructions (`template-files/`,
+ * or the directory named by `files` in template.json). Scaffolding copies it
+ * into the project with the same `{{NAME}}` substitution as the instructions,
+ * in file contents and in file names.
+ */
+
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'error'];
+
+function isBinary(buffer) {
+  return buffer.includes(0);
+}
+
+/**
+ * Work out what each template's starter files would contain
+ * @returns {Promise<Array<{file: string, content: Buffer, template: string,
+ *   unresolved: string[]}>>}
+ */
+async function planFiles(templateIds, options) {
+  const planned = new Map();
+
+  for (const id of templateIds) {
+    const { category, template } = parseTemplateId(id);
+    const entry = resolveTemplate(category, template);
+    const values = resolveVariables(
+      entry.variables,
+      options.answers,
+      options.variables
+    );
+
+    for (const relative of listFiles(entry.filesDir)) {
+      const file = substituteVariables(relative, values).content;
+      const raw = await fs.readFile(path.join(entry.filesDir, relative));
+      const substituted = isBinary(raw)
+        ? { content: raw, unresolved: [] }
+        : substituteVariables(raw.toString('utf-8'), values);
+
+      if (planned.has(file)) {
+        throw new Error(
+          `Templates ${planned.get(file).template} and ${id} both provide ${file}`
+        );
+      }
+      planned.set(file, {
+        file,
+        template: id,
+        content: Buffer.from(substituted.content),
+        unresolved: substituted.unresolved,
+      });
+    }
+  }
+
+  return [...planned.values()];
+}
+
+/**
+ * Copy the starter files of one or more templates into a project
+ * @param {string[]} templateIds - Ids such as `['fe/react']`
+ * @param {string} [targetDir] - Project directory to write into
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - Questionnaire answers, for variables
+ * @param {Object<string, string>} [options.variables] - Explicit variable values
+ * @param {string|Function} [options.onConflict] - What to do with an existing
+ *   file that differs: `skip` (default), `overwrite`, `error`, or a function
+ *   `(file) => Promise<'skip'|'overwrite'>` to decide per file
+ * @param {boolean} [options.dryRun] - Work out what would happen without
+ *   writing; differing files that `error` or a function would decide on
+ *   report `conflict`, and text files get a `diff`
+ * @returns {Promise<Array<{file: string, status: string, template: string,
+ *   unresolved: string[]}>>} One entry per file; `status` is `created`,
+ *   `unchanged`, `overwritten` or `skipped`
+ */
+async function scaffoldProject(
+  templateIds,
+  targetDir = process.cwd(),
+  options = {}
+) {
+  const onConflict = options.onConflict || 'skip';
+  if (
+    typeof onConflict !== 'function' &&
+    !CONFLICT_STRATEGIES.includes(onConflict)
+  ) {
+    throw new Error(
+      `Invalid conflict strategy "${onConflict}" (expected ${CONFLICT_STRATEGIES.join(', ')})`
+    );
+  }
+
+  const planned = await planFiles([...new Set(templateIds)], options);
+  const conflicts = [];
+  for (const item of planned) {
+    const target = path.join(targetDir, item.file);
+    if (!fs.existsSync(target)) continue;
+    item.existing = await fs.readFile(target);
+    item.exists = true;
+    item.unchanged = item.existing.equals(item.content);
+    if (!item.unchanged) conflicts.push(item.file);
+  }
+
+  // Fail before writing anything so a rejected run leaves the project as it was
+  if (onConflict === 'error' && conflicts.length > 0 && !options.dryRun) {
+    throw new Error(
+      `Refusing to overwrite existing files in ${targetDir}:\n${conflicts
+        .map(file => `  - ${file}`)
+        .join('\n')}`
+    );
+  }
+
+  const results = [];
+  for (const item of planned) {
+    let status = item.exists ? 'overwritten' : 'created';
+    if (item.unchanged) {
+      status = 'unchanged';
+    } else if (
+      item.exists &&
+      options.dryRun &&
+      (onConflict === 'error' || typeof onConflict === 'function')
+    ) {
+      status = 'conflict';
+    } else if (item.exists) {
+      const decision =
+        typeof onConflict === 'function'
+          ? await onConflict(item.file)
+          : onConflict;
+      if (decision !== 'overwrite') status = 'skipped';
+    }
+
+    if ((status === 'created' || status === 'overwritten') && !options.dryRun) {
+      const target = path.join(targetDir, item.file);
+      await fs.ensureDir(path.dirname(target));
+      await fs.writeFile(target, item.content);
+    }
+
+    const result = {
+      file: item.file,
+      status,
+      template: item.template,
+      unresolved: item.unresolved,
+    };
+    if (options.dryRun && !isBinary(item.content)) {
+      result.diff = unifiedDiff(
+        item.exists ? item.existing.toString('utf-8') : '',
+        item.content.toString('utf-8'),
+        {
+          beforeLabel: item.exists ? item.file : `${item.file} (new file)`,
+          afterLabel: `${item.file} (template)`,
+        }
+      );
+    }
+    results.push(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  CONFLICT_STRATEGIES,
+  scaffoldProject,
+};
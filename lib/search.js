@@ -0,0 +1,160 @@
+const { TAG_KINDS, loadRegistry } = require('./templates');
+const { parseHeadings } = require('./markdown');
+const { readTemplateChain } = require('./inheritance');
+
+/**
+ * Template search
+ * Ranks templates against a free-text query. Every word of the query must
+ * match the template somewhere: its id or name, its tags, its description or
+ * the headings of its instructions, in decreasing weight. A word matches
+ * exactly, as a prefix, inside a longer word, or fuzzily when its letters
+ * appear in order (`djngo` finds `django`); closer matches score higher.
+ */
+
+const FIELDS = [
+  { name: 'name', weight: 10 },
+  { name: 'tags', weight: 6 },
+  { name: 'description', weight: 3 },
+  { name: 'headings', weight: 1 },
+];
+const FILTERS = ['category', ...TAG_KINDS];
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function isSubsequence(term, word) {
+  let next = 0;
+  for (const char of word) {
+    if (char === term[next]) next += 1;
+    if (next === term.length) return true;
+  }
+  return false;
+}
+
+/**
+ * How well one query word matches one word of a template, from 0 to 1
+ */
+function matchQuality(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.75;
+  if (word.includes(term)) return 0.5;
+  // Shorter fragments are a subsequence of too many words to mean anything
+  if (term.length >= 3 && isSubsequence(term, word)) return 0.25;
+  return 0;
+}
+
+/**
+ * The words of each searchable field of a template
+ */
+function indexTemplate(id, entry) {
+  const tags = Object.values(entry.tags).flat();
+  // Inherited headings count, including any the template removes
+  const headings = readTemplateChain(entry)
+    .flatMap(({ raw }) => parseHeadings(raw))
+    .filter(heading => heading.level <= 3)
+    .map(heading => heading.text);
+  return {
+    name: [...words(id), ...words(entry.name)],
+    tags: [...tags.map(tag => tag.toLowerCase()), ...words(tags.join(' '))],
+    description: words(entry.description),
+    headings: words(headings.join(' ')),
+  };
+}
+
+/**
+ * Check the filters and normalise each to a list of lower-case values
+ */
+function normalizeFilters(filters) {
+  const normalized = {};
+  Object.keys(filters).forEach(key => {
+    if (!FILTERS.includes(key)) {
+      throw new Error(
+        `Unknown filter "${key}" (available: ${FILTERS.join(', ')})`
+      );
+    }
+    const values = []
+      .concat(filters[key])
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(value => String(value).toLowerCase());
+    if (values.length > 0) normalized[key] = values;
+  });
+  return normalized;
+}
+
+function passesFilters(category, entry, filters) {
+  return Object.keys(filters).every(key => {
+    const values =
+      key === 'category'
+        ? [category]
+        : (entry.tags[key] || []).map(tag => tag.toLowerCase());
+    return filters[key].some(value => values.includes(value));
+  });
+}
+
+/**
+ * Find templates by a free-text query and tag filters
+ * @param {string} [query] - Words to look for; empty lists every template
+ *   that passes the filters
+ * @param {Object<string, string|string[]>} [filters] - `category` or a tag
+ *   kind (`language`, `framework`, `database`, `deployment`) with one or more
+ *   accepted values, e.g. `{ language: 'python', deployment: ['docker'] }`
+ * @returns {Array<{id: string, category: string, template: string,
+ *   name: string, description: string, tags: Object, score: number,
+ *   matches: string[]}>} Best match first; `matches` names the fields the
+ *   query was found in (`name`, `tags`, `description`, `headings`)
+ */
+function searchTemplates(query = '', filters = {}) {
+  const terms = words(String(query));
+  const accepted = normalizeFilters(filters);
+  const registry = loadRegistry();
+  const results = [];
+
+  Object.keys(registry).forEach(category => {
+    Object.keys(registry[category].children).forEach(template => {
+      const entry = registry[category].children[template];
+      if (entry.abstract || !passesFilters(category, entry, accepted)) return;
+
+      const id = `${category}/${template}`;
+      const index = indexTemplate(id, entry);
+      const matches = new Set();
+      let score = 0;
+      for (const term of terms) {
+        let termScore = 0;
+        FIELDS.forEach(field => {
+          const quality = index[field.name].reduce(
+            (best, word) => Math.max(best, matchQuality(term, word)),
+            0
+          );
+          if (quality > 0) {
+            termScore += field.weight * quality;
+            matches.add(field.name);
+          }
+        });
+        if (termScore === 0) return;
+        score += termScore;
+      }
+
+      results.push({
+        id,
+        category,
+        template,
+        name: entry.name,
+        description: entry.description,
+        tags: entry.tags,
+        score,
+        matches: FIELDS.map(field => field.name).filter(name =>
+          matches.has(name)
+        ),
+      });
+    });
+  });
+
+  // Array#sort is stable, so ties keep the registry order
+  return results.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  FILTERS,
+  searchTemplates,
+};
@@ -0,0 +1,136 @@
+const { eachLine, parseHeading, shiftHeadings } = require('./markdown');
+
+/**
+ * Scoped sections
+ * A `##` section can carry metadata on the line right below its heading:
+ *
+ *   ## Styling Implementation
+ *   <!-- @section styling applyTo="src/styles/**,src/components/**" -->
+ *
+ * When instructions are split, each such section (sections sharing an id are
+ * grouped) becomes its own rule file that agents only load for matching paths,
+ * and the remaining sections form the index. Otherwise the markers are just
+ * dropped.
+ */
+
+const SECTION_PATTERN = /^\s*<!--\s*@section(?:\s+(.*?))?\s*-->\s*$/;
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const ATTRIBUTE_PATTERN = /^(\w+)="([^"]*)"\s*/;
+const ATTRIBUTES = ['applyTo', 'description'];
+
+/**
+ * Parse the arguments of a `@section` marker
+ * @returns {{id: string, applyTo: string[], description: string|null}}
+ */
+function parseMarker(argument, at) {
+  const [id = '', ...rest] = argument.split(/\s+/);
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(
+      `${at} @section expects an id such as "styling", got "${id}"`
+    );
+  }
+
+  const marker = { id, applyTo: [], description: null };
+  let remaining = rest.join(' ');
+  while (remaining) {
+    const match = remaining.match(ATTRIBUTE_PATTERN);
+    if (!match) {
+      throw new Error(
+        `${at} @section ${id} has a malformed attribute near "${remaining}" (expected name="value")`
+      );
+    }
+    const [, name, value] = match;
+    if (!ATTRIBUTES.includes(name)) {
+      throw new Error(
+        `${at} @section ${id} has unknown attribute "${name}" (expected ${ATTRIBUTES.join(', ')})`
+      );
+    }
+    if (name === 'applyTo') {
+      marker.applyTo = value
+        .split(',')
+        .map(glob => glob.trim())
+        .filter(Boolean);
+    } else {
+      marker.description = value.trim();
+    }
+    remaining = remaining.slice(match[0].length);
+  }
+  return marker;
+}
+
+/**
+ * Separate the scoped sections of a template from the rest
+ * @param {string} content - Template markdown
+ * @param {string} [source] - Template path, used in error messages
+ * @returns {{content: string, index: string, scoped: Array<{id: string,
+ *   title: string, description: string|null, applyTo: string[],
+ *   markers: number[], content: string}>}} `content` is the whole document
+ *   without markers, `index` leaves out the scoped sections, which are
+ *   returned one entry per id with their headings raised by one level and
+ *   the 1-based lines of their markers
+ */
+function splitSections(content, source = 'template') {
+  const lines = content.split('\n');
+  const whole = [];
+  const index = [];
+  const scoped = new Map();
+  let section = null;
+  let heading = null;
+
+  eachLine(content, (line, lineIndex, inFence) => {
+    const match = inFence ? null : line.match(SECTION_PATTERN);
+    const parsed = inFence ? null : parseHeading(line);
+
+    if (match) {
+      const at = `${source}:${lineIndex + 1}`;
+      if (!heading || heading.level !== 2) {
+        throw new Error(
+          `${at} @section must be on the line right below a ## heading`
+        );
+      }
+      const marker = parseMarker(match[1] || '', at);
+      const group = scoped.get(marker.id) || {
+        id: marker.id,
+        title: heading.text,
+        description: null,
+        applyTo: [],
+        markers: [],
+        lines: [],
+      };
+      group.markers.push(lineIndex + 1);
+      group.description = group.description || marker.description;
+      marker.applyTo.forEach(glob => {
+        if (!group.applyTo.includes(glob)) group.applyTo.push(glob);
+      });
+      scoped.set(marker.id, group);
+
+      // Move the heading, already emitted to the index, into the group
+      index.pop();
+      if (group.lines.length > 0) group.lines.push('');
+      group.lines.push(lines[heading.line]);
+      section = group;
+      heading = null;
+      return;
+    }
+
+    heading = parsed ? { ...parsed, line: lineIndex } : null;
+    if (parsed && parsed.level <= 2) section = null;
+
+    whole.push(line);
+    (section ? section.lines : index).push(line);
+  });
+
+  return {
+    content: whole.join('\n'),
+    index: index.join('\n'),
+    scoped: [...scoped.values()].map(({ lines: body, ...group }) => ({
+      ...group,
+      content: `${shiftHeadings(body.join('\n').trim(), -1)}\n`,
+    })),
+  };
+}
+
+module.exports = {
+  SECTION_PATTERN,
+  splitSections,
+};
@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { CONFIG_FILE, getConfigDir, readUserConfig } = require('./config');
+const { NAME_PATTERN } = require('./variables');
+
+/**
+ * Run settings
+ * A project pins its setup in a `.cleanviberc` (JSON or YAML, also as
+ * `.cleanviberc.json`/`.yaml`/`.yml`) found by walking up from the working
+ * directory; personal defaults live under `defaults` in the user config, in
+ * the same shape. Both may define named `presets`. From lowest to highest
+ * priority: user defaults, the project file, the chosen preset, then
+ * command-line flags.
+ *
+ *   templates: [fe/react, be/node-express]
+ *   targets: [copilot, cursor]
+ *   formats: [html, json]
+ *   variables: { PACKAGE_MANAGER: pnpm }
+ *   features: { redis: false }
+ *   maxTokens: 8000
+ *   tokens: design/tokens.json
+ *   designTokens: true
+ *   presets:
+ *     docs: { templates: [github/workflows] }
+ */
+
+const RC_FILES = [
+  '.cleanviberc',
+  '.cleanviberc.json',
+  '.cleanviberc.yaml',
+  '.cleanviberc.yml',
+];
+const LIST_KEYS = ['templates', 'targets', 'formats'];
+const MAP_KEYS = ['variables', 'features'];
+const BOOLEAN_KEYS = ['split', 'scaffold', 'designTokens'];
+const NUMBER_KEYS = ['maxTokens'];
+const SETTING_KEYS = [
+  ...LIST_KEYS,
+  ...MAP_KEYS,
+  ...BOOLEAN_KEYS,
+  ...NUMBER_KEYS,
+  'answers',
+  'tokens',
+];
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check one block of settings and normalise it: lists may be written as a
+ * comma-separated string, variable values as numbers, and `answers` and
+ * `tokens` are resolved against the directory of the file that names them
+ * @returns {{settings: Object, problems: string[]}}
+ */
+function normaliseSettings(raw, baseDir, label = '') {
+  const settings = {};
+  const problems = [];
+  const at = key => `"${label}${key}"`;
+
+  Object.keys(raw).forEach(key => {
+    const value = raw[key];
+    if (!SETTING_KEYS.includes(key)) {
+      problems.push(`unknown key ${at(key)}`);
+    } else if (LIST_KEYS.includes(key)) {
+      const list = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        problems.push(`${at(key)} must be a list of names`);
+      } else {
+        settings[key] = list.map(item => item.trim()).filter(Boolean);
+      }
+    } else if (MAP_KEYS.includes(key)) {
+      if (!isObject(value)) {
+        problems.push(`${at(key)} must be an object`);
+        return;
+      }
+      settings[key] = {};
+      Object.keys(value).forEach(name => {
+        const item = value[name];
+        if (key === 'features' && typeof item !== 'boolean') {
+          problems.push(`${at(`features.${name}`)} must be true or false`);
+        } else if (key === 'variables' && !NAME_PATTERN.test(name)) {
+          problems.push(`${at(`variables.${name}`)} is not an upper-case name`);
+        } else if (key === 'variables' && isObject(item)) {
+          problems.push(`${at(`variables.${name}`)} must be a plain value`);
+        } else {
+          settings[key][name] = key === 'variables' ? String(item) : item;
+        }
+      });
+    } else if (BOOLEAN_KEYS.includes(key)) {
+      if (typeof value !== 'boolean') {
+        problems.push(`${at(key)} must be true or false`);
+      } else {
+        settings[key] = value;
+      }
+    } else if (NUMBER_KEYS.includes(key)) {
+      if (!Number.isInteger(value) || value <= 0) {
+        problems.push(`${at(key)} must be a positive whole number`);
+      } else {
+        settings[key] = value;
+      }
+    } else if (typeof value !== 'string' || !value.trim()) {
+      problems.push(`${at(key)} must be a file path`);
+    } else {
+      settings[key] = path.resolve(baseDir, value);
+    }
+  });
+
+  return { settings, problems };
+}
+
+/**
+ * Split a config object into its settings and presets
+ * @returns {{settings: Object, presets: Object<string, Object>}}
+ */
+function parseSettings(raw, file, prefix = '') {
+  if (!isObject(raw)) {
+    throw new Error(`Invalid config ${file}: expected an object`);
+  }
+
+  const { presets = {}, ...rest } = raw;
+  const baseDir = path.dirname(file);
+  const { settings, problems } = normaliseSettings(rest, baseDir, prefix);
+  const parsed = {};
+
+  if (!isObject(presets)) {
+    problems.push(`"${prefix}presets" must be an object`);
+  } else {
+    Object.keys(presets).forEach(name => {
+      const label = `${prefix}presets.${name}.`;
+      if (!isObject(presets[name])) {
+        problems.push(`"${label.slice(0, -1)}" must be an object`);
+        return;
+      }
+      const preset = normaliseSettings(presets[name], baseDir, label);
+      problems.push(...preset.problems);
+      parsed[name] = preset.settings;
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid config ${file}: ${problems.join('; ')}`);
+  }
+  return { settings, presets: parsed };
+}
+
+/**
+ * Find the nearest project config file
+ * @param {string} [startDir] - Directory to start from
+ * @returns {string|null} Path of the file, or null when there is none
+ */
+function findProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const found = RC_FILES.map(name => path.join(dir, name)).find(file =>
+      fs.existsSync(file)
+    );
+    if (found) return found;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a project config file
+ * @param {string} file - Path of a `.cleanviberc`
+ * @returns {{settings: Object, presets: Object<string, Object>}}
+ */
+function readProjectConfig(file) {
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(file, 'utf-8')) || {};
+  } catch (error) {
+    throw new Error(`Invalid config ${file}: ${error.message}`);
+  }
+  return parseSettings(raw, file);
+}
+
+/**
+ * Lay `override` over `base`: variables and features are merged by name,
+ * everything else is replaced
+ */
+function mergeSettings(base, override) {
+  const merged = { ...base, ...override };
+  MAP_KEYS.forEach(key => {
+    if (base[key] || override[key]) {
+      merged[key] = { ...base[key], ...override[key] };
+    }
+  });
+  return merged;
+}
+
+/**
+ * Work out the settings for a run from the user defaults, the nearest
+ * project config and an optional preset
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to look for `.cleanviberc` from
+ * @param {string} [options.preset] - Name of a preset to apply on top
+ * @returns {{settings: Object, root: string|null, files: string[]}} `root`
+ *   is the directory holding the project config; `files` lists the config
+ *   files that contributed
+ */
+function loadSettings(options = {}) {
+  const files = [];
+  const userConfig = readUserConfig();
+  const userFile = path.join(getConfigDir(), CONFIG_FILE);
+  const user = parseSettings(userConfig.defaults || {}, userFile, 'defaults.');
+  if (userConfig.defaults) files.push(userFile);
+
+  const projectFile = findProjectConfig(options.cwd);
+  const project = projectFile
+    ? readProjectConfig(projectFile)
+    : { settings: {}, presets: {} };
+  if (projectFile) files.push(projectFile);
+
+  let settings = mergeSettings(user.settings, project.settings);
+  if (options.preset) {
+    const presets = { ...user.presets, ...project.presets };
+    if (!presets[options.preset]) {
+      const names = Object.keys(presets);
+      throw new Error(
+        `Unknown preset "${options.preset}" (${
+          names.length > 0
+            ? `available: ${names.join(', ')}`
+            : 'no presets are configured'
+        })`
+      );
+    }
+    settings = mergeSettings(settings, presets[options.preset]);
+  }
+
+  return {
+    settings,
+    root: projectFile ? path.dirname(projectFile) : null,
+    files,
+  };
+}
+
+module.exports = {
+  RC_FILES,
+  findProjectConfig,
+  readProjectConfig,
+  loadSettings,
+};
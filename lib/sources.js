@@ -0,0 +1,334 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { getSourcesDir, readUserConfig, writeUserConfig } = require('./config');
+const { findTemplates, clearRegistryCache } = require('./templates');
+
+/**
+ * Installed template sources
+ * `clean-vibe template add <source>` fetches a directory of template
+ * manifests into the user config dir (`templates/<name>/`) and records it in
+ * the `sources` list of config.json, which the registry reads. A source is
+ * one of:
+ *
+ *   local  a directory, copied as-is               ../team-instructions
+ *   git    a repository URL or bare repo, `#ref`    git@github.com:acme/x.git#v2
+ *          (`https://` URLs on hosts other than GitHub, GitLab, Bitbucket
+ *          and Codeberg need a `git+` prefix or a `.git` suffix)
+ *   npm    a package name, spec or tarball          @acme/instructions, ./x.tgz
+ *
+ * Templates live either at the top of the source or in its `templates/` dir.
+ */
+
+const execFileAsync = promisify(execFile);
+const NPM = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const GIT_PATTERN = /^(git\+|git@|git:\/\/|ssh:\/\/)|\.git\/?(#.*)?$/;
+// Hosts whose https URLs name repositories; elsewhere use `git+https://`
+const GIT_HOST_PATTERN =
+  /^https?:\/\/(www\.)?(github\.com|gitlab\.com|bitbucket\.org|codeberg\.org)\/[^/#]+\/[^#]+$/;
+const TARBALL_PATTERN = /\.(tgz|tar\.gz)$/;
+const SKIPPED_FILES = new Set(['.git', 'node_modules']);
+
+function isLocalPath(value) {
+  return /^(\.{1,2}|~)?[\\/]/.test(value) || /^[a-z]:[\\/]/i.test(value);
+}
+
+/**
+ * Work out what kind of source a string names
+ * @param {string} source - Directory, git URL or npm package spec
+ * @returns {{type: string, location: string, ref: (string|undefined)}}
+ *   `location` is absolute for anything on the local disk
+ */
+function parseSource(source) {
+  const [base] = source.split('#');
+  if (
+    GIT_PATTERN.test(source) ||
+    (GIT_HOST_PATTERN.test(base) && !TARBALL_PATTERN.test(base))
+  ) {
+    const [url, ref] = source.replace(/^git\+/, '').split('#');
+    return {
+      type: 'git',
+      location: isLocalPath(url) ? path.resolve(url) : url,
+      ref: ref || undefined,
+    };
+  }
+
+  if (TARBALL_PATTERN.test(source) && fs.existsSync(source)) {
+    return { type: 'npm', location: path.resolve(source) };
+  }
+
+  if (isLocalPath(source) || fs.existsSync(source)) {
+    const location = path.resolve(source);
+    if (!fs.existsSync(location) || !fs.statSync(location).isDirectory()) {
+      throw new Error(`Template source ${location} is not a directory`);
+    }
+    return { type: 'local', location };
+  }
+
+  return { type: 'npm', location: source };
+}
+
+/**
+ * Run a command, turning a failure into an error carrying its output
+ */
+async function runCommand(command, args, options = {}) {
+  try {
+    const { stdout } = await execFileAsync(command, args, options);
+    return stdout.trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`"${command}" is required but was not found on PATH`);
+    }
+    const output = (error.stderr || '').trim() || error.message;
+    throw new Error(`${command} ${args[0]} failed: ${output}`);
+  }
+}
+
+async function fetchLocal({ location }, staging) {
+  const dest = path.join(staging, 'source');
+  await fs.copy(location, dest, {
+    filter: file => !SKIPPED_FILES.has(path.basename(file)),
+  });
+  return { dir: dest, version: null, name: path.basename(location) };
+}
+
+async function fetchGit({ location, ref }, staging) {
+  const dest = path.join(staging, 'source');
+  const args = ['clone', '--quiet', '--depth', '1'];
+  if (ref) args.push('--branch', ref);
+  await runCommand('git', [...args, '--', location, dest]);
+
+  const version = await runCommand('git', ['rev-parse', '--short', 'HEAD'], {
+    cwd: dest,
+  });
+  await fs.remove(path.join(dest, '.git'));
+
+  const name = location
+    .replace(/[\\/]+$/, '')
+    .split(/[\\/:]/)
+    .pop()
+    .replace(/\.git$/, '');
+  return { dir: dest, version, name };
+}
+
+async function fetchNpm({ location }, staging) {
+  // `npm pack` resolves names, version ranges, URLs and tarballs alike
+  await runCommand(NPM, ['pack', location, '--silent'], { cwd: staging });
+  const tarball = (await fs.readdir(staging)).find(file =>
+    file.endsWith('.tgz')
+  );
+  if (!tarball) {
+    throw new Error(`npm pack did not produce a tarball for ${location}`);
+  }
+  await runCommand('tar', ['-xzf', tarball], { cwd: staging });
+
+  const dest = path.join(staging, 'package');
+  const pkg = await fs.readJson(path.join(dest, 'package.json'));
+  return {
+    dir: dest,
+    version: pkg.version || null,
+    name: pkg.name.replace(/^@/, '').replace('/', '-'),
+  };
+}
+
+const FETCHERS = { local: fetchLocal, git: fetchGit, npm: fetchNpm };
+
+/**
+ * Fetch a source into a staging directory and locate its templates
+ * @returns {Promise<{staging: string, dir: string, root: string,
+ *   version: (string|null), name: string, templates: string[]}>}
+ */
+async function stageSource(source, parsed) {
+  await fs.ensureDir(getSourcesDir());
+  const staging = await fs.mkdtemp(path.join(getSourcesDir(), '.staging-'));
+
+  try {
+    const fetched = await FETCHERS[parsed.type](parsed, staging);
+    const root = ['templates', ''].find(
+      candidate => findTemplates(path.join(fetched.dir, candidate)).length > 0
+    );
+    if (root === undefined) {
+      throw new Error(
+        `No templates found in ${source} (expected <category>/<template>/template.json, optionally under templates/)`
+      );
+    }
+    return {
+      ...fetched,
+      staging,
+      root,
+      templates: findTemplates(path.join(fetched.dir, root)),
+    };
+  } catch (error) {
+    await fs.remove(staging);
+    throw error;
+  }
+}
+
+/**
+ * Move a staged source into its place in the cache. The installed copy is
+ * moved aside first and put back if the new one cannot be moved in, so a
+ * failed update leaves the source as it was.
+ */
+async function commitSource(staged, name) {
+  const target = path.join(getSourcesDir(), name);
+  const previous = path.join(staged.staging, 'previous');
+  const hadPrevious = await fs.pathExists(target);
+
+  try {
+    if (hadPrevious) await fs.move(target, previous);
+    try {
+      await fs.move(staged.dir, target);
+    } catch (error) {
+      if (hadPrevious) await fs.move(previous, target, { overwrite: true });
+      throw error;
+    }
+  } finally {
+    await fs.remove(staged.staging);
+    clearRegistryCache();
+  }
+}
+
+function findSource(sources, name) {
+  const source = sources.find(s => s.name === name);
+  if (!source) {
+    throw new Error(`Template source "${name}" is not installed`);
+  }
+  return source;
+}
+
+function serializeSource(parsed) {
+  if (parsed.type === 'git' && parsed.ref) {
+    return `${parsed.location}#${parsed.ref}`;
+  }
+  return parsed.location;
+}
+
+/**
+ * Install a template source and register its templates
+ * @param {string} source - Directory, git URL or npm package spec
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name to install under; derived from the
+ *   directory, repository or package name by default
+ * @returns {Promise<Object>} The installed source with its `templates` ids
+ */
+async function addTemplateSource(source, options = {}) {
+  const config = readUserConfig();
+  const sources = config.sources || [];
+  const parsed = parseSource(source);
+
+  if (options.name && !NAME_PATTERN.test(options.name)) {
+    throw new Error(
+      `Invalid source name "${options.name}" (use letters, digits, ".", "_" and "-")`
+    );
+  }
+
+  const staged = await stageSource(source, parsed);
+  const name = options.name || staged.name;
+
+  try {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Cannot derive a source name from ${source}; pass one with --name`
+      );
+    }
+    if (sources.some(s => s.name === name)) {
+      throw new Error(
+        `Template source "${name}" is already installed; run "clean-vibe template update ${name}" or pick another --name`
+      );
+    }
+  } catch (error) {
+    await fs.remove(staged.staging);
+    throw error;
+  }
+
+  await commitSource(staged, name);
+  const entry = {
+    name,
+    type: parsed.type,
+    source: serializeSource(parsed),
+    root: staged.root,
+    version: staged.version,
+  };
+  await writeUserConfig({ ...config, sources: [...sources, entry] });
+
+  return { ...entry, templates: staged.templates };
+}
+
+/**
+ * Uninstall a template source
+ * @param {string} name - Installed source name
+ * @returns {Promise<Object>} The removed source
+ */
+async function removeTemplateSource(name) {
+  const config = readUserConfig();
+  const sources = config.sources || [];
+  const source = findSource(sources, name);
+
+  await fs.remove(path.join(getSourcesDir(), name));
+  clearRegistryCache();
+  await writeUserConfig({
+    ...config,
+    sources: sources.filter(s => s !== source),
+  });
+  return source;
+}
+
+/**
+ * Fetch installed sources again from where they were installed from
+ * @param {string[]} [names] - Sources to update; all of them by default
+ * @returns {Promise<Array<Object>>} Updated sources with `previousVersion`
+ *   and their current `templates` ids
+ */
+async function updateTemplateSources(names = []) {
+  const config = readUserConfig();
+  const sources = config.sources || [];
+  const selected =
+    names.length > 0 ? names.map(name => findSource(sources, name)) : sources;
+
+  const updated = [];
+  for (const source of selected) {
+    const staged = await stageSource(source.source, parseSource(source.source));
+    await commitSource(staged, source.name);
+    updated.push({
+      ...source,
+      root: staged.root,
+      version: staged.version,
+      previousVersion: source.version,
+      templates: staged.templates,
+    });
+  }
+
+  await writeUserConfig({
+    ...config,
+    sources: sources.map(source => {
+      const match = updated.find(u => u.name === source.name);
+      if (!match) return source;
+      const { previousVersion, templates, ...entry } = match;
+      return entry;
+    }),
+  });
+  return updated;
+}
+
+/**
+ * List installed sources with the templates they provide
+ * @returns {Array<Object>}
+ */
+function listTemplateSources() {
+  return (readUserConfig().sources || []).map(source => ({
+    ...source,
+    templates: findTemplates(
+      path.join(getSourcesDir(), source.name, source.root || '')
+    ),
+  }));
+}
+
+module.exports = {
+  parseSource,
+  addTemplateSource,
+  removeTemplateSource,
+  updateTemplateSources,
+  listTemplateSources,
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Output stamps
+ * Generated instructions end with a comment recording which templates they
+ * came from, at which version and with which content:
+ *
+ *   <!-- clean-vibe:stamp fe/react@1.0.2#3f9a0c1d2e4b -->
+ *
+ * The hash covers the template source, so edits to a template are noticed
+ * even when nobody bumped its version.
+ */
+
+const STAMP_PATTERN = /^<!-- clean-vibe:stamp (.+?) -->$/m;
+const ENTRY_PATTERN = /^([^@#\s]+)(?:@([^#\s]+))?#([0-9a-f]+)$/;
+
+/**
+ * Short content hash of a template source
+ * @param {string} content - Template markdown
+ * @returns {string} 12 hex characters of its SHA-256
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Format one stamp entry, e.g. `fe/react@1.0.2#3f9a0c1d2e4b`
+ * @param {{id: string, version: string|null, hash: string}} stamp
+ * @returns {string}
+ */
+function formatStampEntry(stamp) {
+  return `${stamp.id}${stamp.version ? `@${stamp.version}` : ''}#${stamp.hash}`;
+}
+
+/**
+ * Append the stamp comment to generated markdown
+ * @param {string} content - Generated markdown
+ * @param {Array<{id: string, version: string|null, hash: string}>} stamps
+ * @returns {string}
+ */
+function stampContent(content, stamps) {
+  const body = content.endsWith('\n') ? content : `${content}\n`;
+  return `${body}\n<!-- clean-vibe:stamp ${stamps
+    .map(formatStampEntry)
+    .join(' ')} -->\n`;
+}
+
+/**
+ * Read the stamp of a generated file
+ * @param {string} content - File content
+ * @returns {Array<{id: string, version: string|null, hash: string}>|null}
+ *   null when the file carries no (valid) stamp
+ */
+function parseStamp(content) {
+  const match = content.match(STAMP_PATTERN);
+  if (!match) return null;
+
+  const stamps = match[1].split(/\s+/).map(entry => entry.match(ENTRY_PATTERN));
+  if (stamps.some(entry => !entry)) return null;
+  return stamps.map(([, id, version, hash]) => ({
+    id,
+    version: version || null,
+    hash,
+  }));
+}
+
+module.exports = {
+  hashContent,
+  formatStampEntry,
+  stampContent,
+  parseStamp,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATE_DIR } = require('./writer');
+const { resolveTargets } = require('./targets');
+const { resolveFormats } = require('./formats');
+
+/**
+ * Generation records
+ * `.clean-vibe/generations.json` remembers how each set of instruction files
+ * was generated (templates and their stamps, targets, variables, features,
+ * token budget, answers, design tokens file, and the design token and format
+ * exports written with them) so `clean-vibe upgrade` can render them again
+ * from newer templates with the same choices.
+ */
+
+const GENERATIONS_FILE = `${STATE_DIR}/generations.json`;
+
+/**
+ * Read the generation records of a project
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Array<Object>>}
+ */
+async function readGenerations(targetDir) {
+  const file = path.join(targetDir, GENERATIONS_FILE);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  try {
+    return (await fs.readJson(file)).generations || [];
+  } catch (error) {
+    throw new Error(`Invalid ${GENERATIONS_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a generation, replacing earlier records that wrote any of its files
+ * @param {string} targetDir - Project directory
+ * @param {Array<Object>} documents - Rendered documents (see `renderDocuments`)
+ * @param {Array<{file: string}>} written - Results of writing them
+ * @param {Object} options - The options they were rendered and written with
+ * @returns {Promise<Object>} The recorded generation
+ */
+async function recordGeneration(targetDir, documents, written, options = {}) {
+  const files = written.map(result => result.file);
+  const formats = resolveFormats(options.formats);
+  const generation = {
+    templates: documents[0].stamps,
+    options: {
+      targets: resolveTargets(options.targets),
+      split: Boolean(options.split),
+      variables: options.variables || {},
+      features: options.features || {},
+      ...(options.maxTokens ? { maxTokens: options.maxTokens } : {}),
+      ...(options.answersFile
+        ? {
+            answersFile: path
+              .relative(targetDir, path.resolve(options.answersFile))
+              .split(path.sep)
+              .join('/'),
+          }
+        : { answers: options.answers || null }),
+      ...(options.tokensFile
+        ? {
+            tokensFile: path
+              .relative(targetDir, path.resolve(options.tokensFile))
+              .split(path.sep)
+              .join('/'),
+          }
+        : {}),
+      ...(options.designTokens ? { designTokens: true } : {}),
+      ...(formats.length > 0 ? { formats } : {}),
+    },
+    files,
+  };
+
+  const generations = (await readGenerations(targetDir)).filter(
+    previous => !previous.files.some(file => files.includes(file))
+  );
+  generations.push(generation);
+  await fs.outputJson(
+    path.join(targetDir, GENERATIONS_FILE),
+    { generations },
+    { spaces: 2 }
+  );
+  return generation;
+}
+
+module.exports = {
+  GENERATIONS_FILE,
+  readGenerations,
+  recordGeneration,
+};
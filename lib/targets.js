@@ -0,0 +1,248 @@
+const path = require('path');
+const { writeGeneratedFile } = require('./writer');
+const { estimateTokens } = require('./tokens');
+
+/**
+ * Output targets
+ * Each AI agent looks for its instructions in its own place and format. A
+ * target maps a rendered document to the file that agent expects; documents
+ * carry a `name` (used for per-document file names), a one-line
+ * `description`, optional `applyTo` globs and the markdown `content`.
+ * Instructions split into scoped sections (see lib/sections.js) come as an
+ * index document followed by one document per scope: targets with a single
+ * fixed file put the scoped documents in `scopedFile` and the index links them.
+ */
+
+const DEFAULT_TARGETS = ['github'];
+const SCOPED_TITLE = 'Scoped Rules';
+
+// Strings are quoted: descriptions such as "React: Testing" are not plain
+// YAML scalars, and neither are globs starting with "*"
+function frontMatter(fields) {
+  const lines = Object.keys(fields).map(key => {
+    const value = fields[key];
+    return `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`;
+  });
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+function globList(document) {
+  return document.applyTo && document.applyTo.length > 0
+    ? document.applyTo.join(',')
+    : '';
+}
+
+const copilotFile = document =>
+  `.github/instructions/${document.name}.instructions.md`;
+const copilotHeader = document =>
+  frontMatter({ applyTo: globList(document) || '**' });
+
+const TARGETS = {
+  github: {
+    description: '.github/instructions.md (generic)',
+    file: () => '.github/instructions.md',
+    scopedFile: document => `.github/instructions/${document.name}.md`,
+  },
+  copilot: {
+    description: '.github/copilot-instructions.md (GitHub Copilot)',
+    file: () => '.github/copilot-instructions.md',
+    scopedFile: copilotFile,
+    header: (document, scoped) => (scoped ? copilotHeader(document) : ''),
+  },
+  'copilot-scoped': {
+    description: '.github/instructions/*.instructions.md (Copilot, applyTo)',
+    file: copilotFile,
+    header: copilotHeader,
+  },
+  claude: {
+    description: 'CLAUDE.md (Claude Code)',
+    file: () => 'CLAUDE.md',
+    scopedFile: document => `.claude/rules/${document.name}.md`,
+  },
+  agents: {
+    description: 'AGENTS.md (Codex and other agents)',
+    file: () => 'AGENTS.md',
+    scopedFile: document => `.agents/rules/${document.name}.md`,
+  },
+  cursor: {
+    description: '.cursor/rules/*.mdc (Cursor)',
+    file: document => `.cursor/rules/${document.name}.mdc`,
+    header: document =>
+      frontMatter({
+        description: document.description,
+        globs: globList(document),
+        alwaysApply: !globList(document),
+      }),
+  },
+  windsurf: {
+    description: '.windsurfrules (Windsurf)',
+    file: () => '.windsurfrules',
+    scopedFile: document => `.windsurf/rules/${document.name}.md`,
+    header: (document, scoped) =>
+      scoped
+        ? frontMatter({ trigger: 'glob', globs: globList(document) || '**' })
+        : '',
+  },
+};
+
+/**
+ * Work out the files a target writes for an index and its scoped documents
+ * @returns {Array<{file: string, content: string}>}
+ */
+function targetFiles(target, documents) {
+  const [index, ...scoped] = documents;
+  const header = target.header || (() => '');
+  const scopedFiles = scoped.map(document => ({
+    document,
+    file: (target.scopedFile || target.file)(document),
+    content: header(document, true) + document.content,
+  }));
+
+  const indexFile = target.file(index);
+  let indexContent = index.content;
+  if (scopedFiles.length > 0) {
+    const links = scopedFiles.map(({ document, file }) => {
+      const href = path.posix.relative(path.posix.dirname(indexFile), file);
+      const globs = document.applyTo.length
+        ? document.applyTo.map(glob => `\`${glob}\``).join(', ')
+        : 'all files';
+      return `- [${document.title}](${href}) — ${globs}`;
+    });
+    indexContent = [
+      indexContent.trimEnd(),
+      '',
+      `## ${SCOPED_TITLE}`,
+      '',
+      'These rules live in separate files; read the one matching the files you are working on:',
+      '',
+      ...links,
+      '',
+    ].join('\n');
+  }
+
+  const files = [
+    {
+      file: indexFile,
+      content: header(index, false) + indexContent,
+      ...(index.budget ? { budget: index.budget } : {}),
+    },
+    ...scopedFiles,
+  ];
+  const seen = new Set();
+  files.forEach(({ file }) => {
+    if (seen.has(file)) {
+      throw new Error(
+        `Two instruction documents would both be written to ${file}`
+      );
+    }
+    seen.add(file);
+  });
+  return files;
+}
+
+/**
+ * Check a target selection and expand `all`
+ * @param {string|string[]} [selection] - Target names, or `all`
+ * @returns {string[]} Target names
+ */
+function resolveTargets(selection) {
+  const names = [].concat(selection || DEFAULT_TARGETS);
+  if (names.includes('all')) {
+    return Object.keys(TARGETS);
+  }
+
+  const unknown = names.filter(name => !TARGETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown output target${unknown.length > 1 ? 's' : ''} ${unknown
+        .map(name => `"${name}"`)
+        .join(', ')} (available: ${Object.keys(TARGETS).join(', ')}, all)`
+    );
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Work out every file the selected targets write for some documents
+ * @param {Object|Object[]} documents - `{name, description, applyTo,
+ *   content}`, or an index document followed by scoped documents (which also
+ *   have a `title`)
+ * @param {string|string[]} [selection] - Target names or `all`; defaults to
+ *   `github` (`.github/instructions.md`)
+ * @returns {Array<{target: string, file: string, content: string}>} The
+ *   index document's files also carry its `budget`, when it has one
+ */
+function planTargets(documents, selection) {
+  const planned = new Map();
+  resolveTargets(selection).forEach(name => {
+    targetFiles(TARGETS[name], [].concat(documents)).forEach(entry => {
+      const { file, content } = entry;
+      // copilot and copilot-scoped share the path-specific files
+      if (planned.has(file)) {
+        if (planned.get(file).content !== content) {
+          throw new Error(
+            `Output targets disagree about the content of ${file}`
+          );
+        }
+        return;
+      }
+      planned.set(file, { target: name, ...entry });
+    });
+  });
+  return [...planned.values()];
+}
+
+/**
+ * Write instructions to every selected target
+ * @param {string} targetDir - Project directory
+ * @param {Object|Object[]} documents - See `planTargets`
+ * @param {Object} [options] - Passed to `writeGeneratedFile`, plus
+ * @param {string|string[]} [options.targets] - Target names or `all`
+ * @param {Function} [options.beforeWrite] - Called with `{target, file, path,
+ *   content}` before each file is written, and may be async; return a string
+ *   to write instead of `content`, or `false` to leave the file alone
+ * @param {Function} [options.afterWrite] - Called with each file's result
+ * @returns {Promise<Array<Object>>} One `writeGeneratedFile` result per file,
+ *   with its `target` name, project-relative `file`, estimated `tokens` and,
+ *   for the index document, its `budget` (see `renderDocuments`). Files
+ *   refused by `beforeWrite` have the status `vetoed`
+ */
+async function writeTargets(targetDir, documents, options = {}) {
+  const results = [];
+  for (const planned of planTargets(documents, options.targets)) {
+    const { target, file, budget } = planned;
+    const at = path.join(targetDir, file);
+    let { content } = planned;
+    const decision = options.beforeWrite
+      ? await options.beforeWrite({ target, file, path: at, content })
+      : undefined;
+    if (typeof decision === 'string') {
+      content = decision;
+    }
+
+    const result =
+      decision === false
+        ? { path: at, status: 'vetoed', conflicts: 0 }
+        : await writeGeneratedFile(targetDir, file, content, options);
+    const entry = {
+      ...result,
+      target,
+      file,
+      tokens: estimateTokens(content),
+      ...(budget ? { budget } : {}),
+    };
+    results.push(entry);
+    if (options.afterWrite) {
+      await options.afterWrite(entry);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_TARGETS,
+  TARGETS,
+  resolveTargets,
+  planTargets,
+  writeTargets,
+};
@@ -0,0 +1,600 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  getConfigDir,
+  getSourcesDir,
+  resolveUserPath,
+  readUserConfig,
+} = require('./config');
+const { PRIORITIES, measureTemplate } = require('./tokens');
+const { PARTIALS_DIR } = require('./partials');
+
+/**
+ * Template registry
+ * Templates are discovered from template roots laid out as
+ * `<root>/<category>/<template>/template.json`, next to the template's
+ * instructions. A category may describe itself in `<root>/<category>/category.json`.
+ *
+ * Roots are searched in order: the package's own `templates/` directory,
+ * then `$CLEAN_VIBE_TEMPLATE_PATH` (path-delimited), then the `templateDirs`
+ * of the user config, then sources installed with `clean-vibe template add`.
+ * A template found in a later root replaces one with the same id.
+ *
+ * A root may also hold shared fragments under `<root>/partials/` (see
+ * lib/partials.js), found the same way.
+ *
+ * A template marked `"abstract": true` only exists to be extended: it is
+ * left out of listings and search and cannot be generated, but `extends`
+ * still finds it.
+ *
+ * A template whose manifest is broken, or which extends a template that is
+ * missing, is left out with a warning (see `getRegistryWarnings`) so that one
+ * bad root cannot hide every other template. The registry is built once per
+ * process for a given set of roots; `clearRegistryCache` forgets it.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BUILTIN_TEMPLATES_DIR = path.join(ROOT_DIR, 'templates');
+const MANIFEST_FILE = 'template.json';
+const CATEGORY_FILE = 'category.json';
+// Kinds of `tags` a manifest may give, each a list of names
+const TAG_KINDS = ['language', 'framework', 'database', 'deployment'];
+
+// The last registry built, for the roots it was built from
+let cache = null;
+
+/**
+ * List the template roots to search, in priority order
+ * @returns {string[]} Absolute directory paths
+ */
+function getTemplateDirs() {
+  const fromEnv = (process.env.CLEAN_VIBE_TEMPLATE_PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map(dir => resolveUserPath(dir, process.cwd()));
+  const config = readUserConfig();
+  const fromConfig = (config.templateDirs || []).map(dir =>
+    resolveUserPath(dir, getConfigDir())
+  );
+  const installed = (config.sources || []).map(source =>
+    path.join(getSourcesDir(), source.name, source.root || '')
+  );
+
+  return [
+    ...new Set([
+      BUILTIN_TEMPLATES_DIR,
+      ...fromEnv,
+      ...fromConfig,
+      ...installed,
+    ]),
+  ];
+}
+
+function readJson(file, kind) {
+  try {
+    return fs.readJsonSync(file);
+  } catch (error) {
+    throw new Error(`Invalid ${kind} ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and check a template manifest
+ * @param {string} file - Path of a `template.json`
+ * @returns {Object} Manifest
+ */
+function readManifest(file) {
+  const manifest = readJson(file, 'template manifest');
+  const problems = [];
+
+  ['name', 'description'].forEach(key => {
+    if (typeof manifest[key] !== 'string' || !manifest[key].trim()) {
+      problems.push(`"${key}" must be a non-empty string`);
+    }
+  });
+  if (
+    manifest.instructions !== undefined &&
+    typeof manifest.instructions !== 'string'
+  ) {
+    problems.push('"instructions" must be a file name');
+  }
+  if (manifest.files !== undefined && typeof manifest.files !== 'string') {
+    problems.push('"files" must be a directory name');
+  }
+  if (manifest.tokens !== undefined && typeof manifest.tokens !== 'string') {
+    problems.push('"tokens" must be a file name');
+  }
+  if (
+    manifest.abstract !== undefined &&
+    typeof manifest.abstract !== 'boolean'
+  ) {
+    problems.push('"abstract" must be true or false');
+  }
+  if (
+    manifest.version !== undefined &&
+    (typeof manifest.version !== 'string' || !manifest.version.trim())
+  ) {
+    problems.push('"version" must be a non-empty string');
+  }
+  ['variables', 'features', 'sections'].forEach(key => {
+    const value = manifest[key];
+    if (
+      value !== undefined &&
+      (typeof value !== 'object' || value === null || Array.isArray(value))
+    ) {
+      problems.push(`"${key}" must be an object`);
+    }
+  });
+  if (
+    manifest.extends !== undefined &&
+    (typeof manifest.extends !== 'string' ||
+      !/^[^/\s]+\/[^/\s]+$/.test(manifest.extends))
+  ) {
+    problems.push('"extends" must be a template id such as "fe/react"');
+  }
+  if (manifest.tags !== undefined) {
+    if (
+      typeof manifest.tags !== 'object' ||
+      manifest.tags === null ||
+      Array.isArray(manifest.tags)
+    ) {
+      problems.push('"tags" must be an object');
+    } else {
+      Object.keys(manifest.tags).forEach(kind => {
+        const tags = manifest.tags[kind];
+        if (!TAG_KINDS.includes(kind)) {
+          problems.push(`"tags.${kind}" is not one of ${TAG_KINDS.join(', ')}`);
+        } else if (
+          !Array.isArray(tags) ||
+          !tags.every(tag => typeof tag === 'string' && tag.trim())
+        ) {
+          problems.push(`"tags.${kind}" must be a list of names`);
+        }
+      });
+    }
+  }
+  const sections =
+    manifest.sections && !Array.isArray(manifest.sections)
+      ? manifest.sections
+      : {};
+  Object.keys(sections).forEach(anchor => {
+    const section = sections[anchor];
+    if (!section || !PRIORITIES.includes(section.priority)) {
+      problems.push(
+        `"sections.${anchor}.priority" must be one of ${PRIORITIES.join(', ')}`
+      );
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid template manifest ${file}: ${problems.join('; ')}`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Leave a template out of the registry, remembering why
+ */
+function skip(problems, id, error) {
+  problems.skipped[id] = error.message;
+  problems.warnings.push(`Skipped ${id}: ${error.message}`);
+}
+
+function listDirs(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * List the files below a directory, recursively
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Paths relative to `dir`, with `/` separators
+ */
+function listFiles(dir) {
+  if (!dir) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry =>
+      entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name)).map(
+            file => `${entry.name}/${file}`
+          )
+        : [entry.name]
+    );
+}
+
+/**
+ * Path to show for a template file: package-relative for built-ins,
+ * absolute otherwise
+ */
+function sourceLabel(file) {
+  const relative = path.relative(ROOT_DIR, file);
+  return relative.startsWith('..') ? file : relative.split(path.sep).join('/');
+}
+
+/**
+ * Add the templates found under one root to the registry
+ * @param {string} root - Template root
+ * @param {Object} registry - Registry to add to
+ * @param {string|null} [version] - Version of templates whose manifest
+ *   names none: the installed version for template sources
+ * @param {Object} [problems] - Collects `warnings` and the templates
+ *   `skipped` because of an invalid manifest, by id
+ */
+function scanTemplateDir(
+  root,
+  registry,
+  version = null,
+  problems = { warnings: [], skipped: {} }
+) {
+  if (!fs.existsSync(root)) return;
+
+  listDirs(root)
+    .filter(category => category !== PARTIALS_DIR)
+    .forEach(category => {
+      const categoryDir = path.join(root, category);
+      const templates = listDirs(categoryDir).filter(template =>
+        fs.existsSync(path.join(categoryDir, template, MANIFEST_FILE))
+      );
+      if (templates.length === 0) return;
+
+      const categoryFile = path.join(categoryDir, CATEGORY_FILE);
+      let meta = {};
+      try {
+        meta = fs.existsSync(categoryFile)
+          ? readJson(categoryFile, 'category file')
+          : {};
+      } catch (error) {
+        problems.warnings.push(error.message);
+      }
+      const entry = registry[category] || {
+        name: category,
+        description: '',
+        order: Infinity,
+        children: {},
+      };
+      registry[category] = {
+        ...entry,
+        ...meta,
+        children: entry.children,
+      };
+
+      templates.forEach(template => {
+        const dir = path.join(categoryDir, template);
+        let manifest;
+        try {
+          manifest = readManifest(path.join(dir, MANIFEST_FILE));
+        } catch (error) {
+          skip(problems, `${category}/${template}`, error);
+          return;
+        }
+        delete problems.skipped[`${category}/${template}`];
+        const sourcePath = path.join(
+          dir,
+          manifest.instructions || 'instructions.md'
+        );
+        const filesDir = path.join(dir, manifest.files || 'template-files');
+        const tokensPath = manifest.tokens && path.join(dir, manifest.tokens);
+
+        entry.children[template] = {
+          ...manifest,
+          id: `${category}/${template}`,
+          version: manifest.version || version,
+          variables: manifest.variables || {},
+          features: manifest.features || {},
+          sections: manifest.sections || {},
+          tags: manifest.tags || {},
+          dir,
+          root,
+          sourcePath,
+          filesDir: fs.existsSync(filesDir) ? filesDir : null,
+          // Design tokens, see lib/design-tokens.js
+          tokens: tokensPath
+            ? { sourcePath: tokensPath, source: sourceLabel(tokensPath) }
+            : null,
+          source: sourceLabel(sourcePath),
+        };
+      });
+    });
+}
+
+/**
+ * List the ids of the templates found under one root
+ * @param {string} root - Directory laid out as `<category>/<template>/`
+ * @returns {string[]} Template ids
+ */
+function findTemplates(root) {
+  const registry = {};
+  scanTemplateDir(root, registry);
+  return Object.keys(registry).flatMap(category =>
+    Object.keys(registry[category].children).map(
+      template => `${category}/${template}`
+    )
+  );
+}
+
+/**
+ * List the partials found under one root
+ * @param {string} root - Template root
+ * @returns {Object<string, {sourcePath: string, source: string}>} Partials
+ *   by name, e.g. `security/headers` for `<root>/partials/security/headers.md`
+ */
+function findPartials(root) {
+  const dir = path.join(root, PARTIALS_DIR);
+  const partials = {};
+  listFiles(fs.existsSync(dir) ? dir : null)
+    .filter(file => file.endsWith('.md'))
+    .forEach(file => {
+      const sourcePath = path.join(dir, file);
+      partials[file.slice(0, -'.md'.length)] = {
+        sourcePath,
+        source: sourceLabel(sourcePath),
+      };
+    });
+  return partials;
+}
+
+/**
+ * Merge each template that `extends` another with the chain of templates
+ * above it: variables, features, section priorities and tags add to or
+ * replace the parent's, and starter files and design tokens default to the
+ * parent's. The instructions themselves are combined when rendering (see
+ * lib/inheritance.js) through `parent`. Templates whose chain cannot be
+ * resolved are removed, with a warning.
+ */
+function resolveInheritance(registry, problems) {
+  const entries = new Map();
+  Object.keys(registry).forEach(category => {
+    Object.keys(registry[category].children).forEach(template => {
+      entries.set(
+        `${category}/${template}`,
+        registry[category].children[template]
+      );
+    });
+  });
+
+  const resolved = new Map();
+  const resolve = (id, trail) => {
+    if (trail.includes(id)) {
+      throw new Error(
+        `Template ${id} extends itself: ${[...trail.slice(trail.indexOf(id)), id].join(' → ')}`
+      );
+    }
+    if (resolved.has(id)) return resolved.get(id);
+
+    const entry = entries.get(id);
+    let result = entry;
+    if (entry.extends) {
+      if (!entries.has(entry.extends)) {
+        throw new Error(
+          `Template ${id} extends ${entry.extends}, which is not installed`
+        );
+      }
+      const parent = resolve(entry.extends, [...trail, id]);
+      result = {
+        ...entry,
+        parent,
+        variables: { ...parent.variables, ...entry.variables },
+        features: { ...parent.features, ...entry.features },
+        sections: { ...parent.sections, ...entry.sections },
+        tags: { ...parent.tags, ...entry.tags },
+        filesDir: entry.filesDir || parent.filesDir,
+        tokens: entry.tokens || parent.tokens,
+      };
+    }
+    resolved.set(id, result);
+    return result;
+  };
+
+  entries.forEach((entry, id) => {
+    const { category, template } = parseTemplateId(id);
+    try {
+      registry[category].children[template] = resolve(id, []);
+    } catch (error) {
+      delete registry[category].children[template];
+      skip(problems, id, error);
+    }
+  });
+}
+
+/**
+ * Discover every template from the configured roots
+ * @returns {Object<string, {name: string, description: string, children: Object}>}
+ *   Categories by key, each with its templates by key
+ */
+function loadRegistry() {
+  const roots = getTemplateDirs();
+  const versions = {};
+  (readUserConfig().sources || []).forEach(source => {
+    versions[path.join(getSourcesDir(), source.name, source.root || '')] =
+      source.version || null;
+  });
+  const key = JSON.stringify({ roots, versions });
+  if (cache && cache.key === key) return cache.registry;
+
+  const registry = {};
+  const problems = { warnings: [], skipped: {} };
+  const partialsByRoot = new Map();
+  roots.forEach(root => {
+    scanTemplateDir(root, registry, versions[root], problems);
+    partialsByRoot.set(root, findPartials(root));
+  });
+
+  // Like templates, partials in later roots replace earlier ones, except that
+  // a template's own root always comes first
+  const partials = Object.assign({}, ...partialsByRoot.values());
+  Object.values(registry).forEach(category => {
+    Object.values(category.children).forEach(entry => {
+      entry.partials = { ...partials, ...partialsByRoot.get(entry.root) };
+    });
+  });
+  resolveInheritance(registry, problems);
+
+  const ordered = {};
+  Object.keys(registry)
+    .filter(category => Object.keys(registry[category].children).length > 0)
+    .sort((a, b) => registry[a].order - registry[b].order || a.localeCompare(b))
+    .forEach(category => {
+      ordered[category] = registry[category];
+    });
+  cache = { key, registry: ordered, ...problems };
+  return ordered;
+}
+
+/**
+ * Problems met while discovering templates: each names a template that was
+ * left out and why
+ * @returns {string[]}
+ */
+function getRegistryWarnings() {
+  loadRegistry();
+  return cache.warnings;
+}
+
+/**
+ * Forget the cached registry, after templates were installed or changed
+ */
+function clearRegistryCache() {
+  cache = null;
+}
+
+/**
+ * Split a `category/template` id into its parts
+ * @param {string} id - Template id, e.g. `fe/react`
+ * @returns {{category: string, template: string}}
+ */
+function parseTemplateId(id) {
+  const [category, template, ...rest] = String(id || '').split('/');
+  if (!category || !template || rest.length > 0) {
+    throw new Error(
+      `Invalid template id "${id}" (expected "category/template", e.g. "fe/react")`
+    );
+  }
+  return { category, template };
+}
+
+/**
+ * Templates of a category that can be listed and generated, by key
+ */
+function listedTemplates(category) {
+  return Object.keys(category.children).filter(
+    template => !category.children[template].abstract
+  );
+}
+
+/**
+ * Look up a template entry, throwing if the category or template is unknown
+ * @param {string} category - Category key, e.g. `fe`
+ * @param {string} template - Template key within the category, e.g. `react`
+ * @param {Object} [options]
+ * @param {boolean} [options.abstract] - Also find abstract templates, as
+ *   parents are found
+ * @returns {Object} Template entry with its absolute `sourcePath`
+ */
+function resolveTemplate(category, template, options = {}) {
+  const registry = loadRegistry();
+  if (!registry[category] && !cache.skipped[`${category}/${template}`]) {
+    throw new Error(`Category "${category}" not found`);
+  }
+
+  const entry = (registry[category] || { children: {} }).children[template];
+  if (!entry) {
+    const reason = cache.skipped[`${category}/${template}`];
+    throw new Error(
+      reason || `Template "${template}" not found in category "${category}"`
+    );
+  }
+  if (entry.abstract && !options.abstract) {
+    throw new Error(
+      `Template ${category}/${template} is abstract: it is only there to be extended`
+    );
+  }
+
+  return {
+    ...entry,
+    id: `${category}/${template}`,
+    category,
+    template,
+    categoryName: registry[category].name,
+  };
+}
+
+function getAvailableCategories() {
+  const registry = loadRegistry();
+  return Object.keys(registry).filter(
+    category => listedTemplates(registry[category]).length > 0
+  );
+}
+
+function getAvailableTemplates(category) {
+  const registry = loadRegistry();
+
+  if (!category) {
+    // Return all templates in format category/template
+    const allTemplates = [];
+    Object.keys(registry).forEach(cat => {
+      listedTemplates(registry[cat]).forEach(temp => {
+        allTemplates.push(`${cat}/${temp}`);
+      });
+    });
+    return allTemplates;
+  }
+
+  if (!registry[category]) {
+    throw new Error(`Category "${category}" not found`);
+  }
+
+  return listedTemplates(registry[category]);
+}
+
+function getTemplateInfo(category, template) {
+  const registry = loadRegistry();
+  if (!registry[category] || !registry[category].children[template]) {
+    return null;
+  }
+
+  const entry = registry[category].children[template];
+  const size = measureTemplate(entry);
+  return {
+    category: registry[category].name,
+    template: entry.name,
+    description: entry.description,
+    version: entry.version,
+    source: entry.source,
+    extends: entry.extends || null,
+    abstract: Boolean(entry.abstract),
+    variables: entry.variables,
+    features: entry.features,
+    tags: entry.tags,
+    files: listFiles(entry.filesDir),
+    chars: size.chars,
+    tokens: size.tokens,
+    sections: size.sections,
+  };
+}
+
+module.exports = {
+  ROOT_DIR,
+  BUILTIN_TEMPLATES_DIR,
+  MANIFEST_FILE,
+  TAG_KINDS,
+  readManifest,
+  getTemplateDirs,
+  findTemplates,
+  findPartials,
+  listFiles,
+  loadRegistry,
+  getRegistryWarnings,
+  clearRegistryCache,
+  parseTemplateId,
+  resolveTemplate,
+  getAvailableCategories,
+  getAvailableTemplates,
+  getTemplateInfo,
+};
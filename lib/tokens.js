@@ -0,0 +1,167 @@
+const { parseSections, slugify } = require('./markdown');
+const { resolveFeatures, applyConditionals } = require('./conditionals');
+const { substituteVariables, resolveVariables } = require('./variables');
+const { splitSections } = require('./sections');
+const { readTemplateChain, resolveChain } = require('./inheritance');
+
+/**
+ * Token budgets
+ * Agents load instructions into a limited context window, so sizes are
+ * reported in tokens. Counts are estimates (about four characters per token
+ * for English prose and code) rather than any one model's tokenizer.
+ *
+ * A template may give its `##` sections a priority in its manifest, keyed by
+ * the heading's anchor; sections without one are never dropped:
+ *
+ *   "sections": { "testing-strategy": { "priority": "low" } }
+ */
+
+const CHARS_PER_TOKEN = 4;
+// From first to last dropped
+const PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_PRIORITY = 'high';
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Priority of a `##` section
+ * @param {Object} [priorities] - The manifest's `sections`
+ * @param {string} title - Heading text
+ * @returns {string} One of PRIORITIES
+ */
+function sectionPriority(priorities = {}, title) {
+  const declared = priorities[slugify(title)];
+  return (declared && declared.priority) || DEFAULT_PRIORITY;
+}
+
+/**
+ * Measure a document and each of its `##` sections
+ * @param {string} content - Markdown
+ * @param {Object} [priorities] - The manifest's `sections`
+ * @returns {{chars: number, tokens: number, sections: Array<{title: string,
+ *   anchor: string, priority: string, chars: number, tokens: number}>}}
+ */
+function measureSections(content, priorities) {
+  return {
+    chars: content.length,
+    tokens: estimateTokens(content),
+    sections: parseSections(content, 2).sections.map(section => ({
+      title: section.title.trim(),
+      anchor: slugify(section.title),
+      priority: sectionPriority(priorities, section.title),
+      chars: section.content.length,
+      tokens: estimateTokens(section.content),
+    })),
+  };
+}
+
+/**
+ * Measure a registered template as it renders with its defaults
+ * @param {Object} entry - Registry entry (see lib/templates.js)
+ * @returns {Object} See `measureSections`
+ */
+function measureTemplate(entry) {
+  const raw = resolveChain(readTemplateChain(entry));
+  const content = substituteVariables(
+    applyConditionals(raw, resolveFeatures(entry.features), entry.source),
+    resolveVariables(entry.variables)
+  ).content;
+  return measureSections(
+    splitSections(content, entry.source).content,
+    entry.sections
+  );
+}
+
+/**
+ * Drop `##` sections from a document by position, so that sections sharing a
+ * title are dropped one at a time
+ * @param {string} content - Markdown
+ * @param {Set<number>} indexes - Positions of the sections to drop
+ * @returns {string}
+ */
+function removeSections(content, indexes) {
+  const { preamble, sections, epilogue } = parseSections(content, 2);
+  return [
+    preamble,
+    ...sections
+      .filter((section, index) => !indexes.has(index))
+      .map(section => section.content),
+    epilogue,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Drop sections from template layers, lowest priority first and from the
+ * end of the document within a priority, until the rendered output fits
+ * @param {Array<Object>} layers - Loaded templates with `id`, `priorities`
+ *   and the markdown in `field`
+ * @param {Function} render - Renders layers to the measured markdown
+ * @param {number} maxTokens - Budget
+ * @param {string} [field] - Layer property holding the markdown
+ * @returns {Promise<{layers: Array<Object>, tokens: number, fits: boolean,
+ *   removed: Array<{template: string, title: string, priority: string,
+ *   tokens: number}>}>}
+ */
+async function trimToBudget(layers, render, maxTokens, field = 'content') {
+  const candidates = layers
+    .flatMap((layer, layerIndex) =>
+      parseSections(layer[field], 2).sections.map((section, index) => ({
+        layerIndex,
+        index,
+        template: layer.id,
+        title: section.title,
+        priority: sectionPriority(layer.priorities, section.title),
+        tokens: estimateTokens(section.content),
+      }))
+    )
+    .filter(candidate => candidate.priority !== DEFAULT_PRIORITY)
+    .sort(
+      (a, b) =>
+        PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) ||
+        b.layerIndex - a.layerIndex ||
+        b.index - a.index
+    );
+
+  let trimmed = layers;
+  let tokens = estimateTokens(await render(trimmed));
+  const removed = [];
+  const dropped = layers.map(() => new Set());
+  for (const candidate of candidates) {
+    if (tokens <= maxTokens) break;
+    dropped[candidate.layerIndex].add(candidate.index);
+    trimmed = layers.map((layer, layerIndex) =>
+      dropped[layerIndex].size > 0
+        ? {
+            ...layer,
+            [field]: removeSections(layer[field], dropped[layerIndex]),
+          }
+        : layer
+    );
+    tokens = estimateTokens(await render(trimmed));
+    removed.push({
+      template: candidate.template,
+      title: candidate.title.trim(),
+      priority: candidate.priority,
+      tokens: candidate.tokens,
+    });
+  }
+
+  return { layers: trimmed, tokens, fits: tokens <= maxTokens, removed };
+}
+
+module.exports = {
+  PRIORITIES,
+  estimateTokens,
+  measureSections,
+  measureTemplate,
+  trimToBudget,
+};
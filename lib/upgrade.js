@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseTemplateId, resolveTemplate } = require('./templates');
+const { renderDocuments, writeInstructions } = require('./generator');
+const { loadAnswersFile } = require('./answers');
+const { exportDesignTokens } = require('./design-tokens');
+const { writeFormats } = require('./formats');
+const { planTargets } = require('./targets');
+const { BASE_DIR } = require('./writer');
+const { unifiedDiff } = require('./diff');
+const { formatStampEntry, parseStamp } = require('./stamps');
+const { readTemplateChain, hashChain } = require('./inheritance');
+const { readGenerations, recordGeneration } = require('./state');
+
+/**
+ * Template upgrades
+ * Compares the stamps in a project's generated instructions with the
+ * templates installed now, and renders stale ones again with the choices
+ * recorded in `.clean-vibe/generations.json`, along with the design tokens
+ * and other formats exported with them. Local edits are kept by three-way
+ * merging against the stored copy of the last generated version.
+ */
+
+/**
+ * Stamp of a template as it is installed now
+ * @returns {{id: string, version: string|null, hash: string}|null} null when
+ *   the template is no longer available
+ */
+function currentStamp(id) {
+  try {
+    const { category, template } = parseTemplateId(id);
+    const entry = resolveTemplate(category, template);
+    return {
+      id,
+      version: entry.version,
+      hash: hashChain(readTemplateChain(entry)),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stamps found in the generated files of one generation, by template id
+ */
+function readOutputStamps(targetDir, generation) {
+  const stamps = new Map();
+  generation.files.forEach(file => {
+    const target = path.join(targetDir, file);
+    if (!fs.existsSync(target)) return;
+    (parseStamp(fs.readFileSync(target, 'utf-8')) || []).forEach(stamp => {
+      if (!stamps.has(stamp.id)) stamps.set(stamp.id, stamp);
+    });
+  });
+  // Files whose stamp was removed by hand fall back to the record
+  generation.templates.forEach(stamp => {
+    if (!stamps.has(stamp.id)) stamps.set(stamp.id, stamp);
+  });
+  return stamps;
+}
+
+/**
+ * Check which generated instructions were made from older templates
+ * @param {string} [targetDir] - Project directory
+ * @returns {Promise<Array<{files: string[], options: Object, stale: boolean,
+ *   templates: Array<{id: string, from: Object, to: Object|null,
+ *   changed: boolean}>}>>} One entry per recorded generation; `to` is null
+ *   when the template is no longer installed. Only the content hash decides
+ *   `changed`: versions are shown, but a bump alone changes nothing.
+ */
+async function findStaleOutputs(targetDir = process.cwd()) {
+  const generations = await readGenerations(targetDir);
+  return generations.map(generation => {
+    const stamps = readOutputStamps(targetDir, generation);
+    const templates = generation.templates.map(({ id }) => {
+      const from = stamps.get(id);
+      const to = currentStamp(id);
+      return {
+        id,
+        from,
+        to,
+        changed: !to || from.hash !== to.hash,
+      };
+    });
+    return {
+      ...generation,
+      templates,
+      stale: templates.some(template => template.changed),
+    };
+  });
+}
+
+/**
+ * Render stale instructions again from the installed templates
+ * @param {string} [targetDir] - Project directory
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite local edits instead of merging
+ * @param {string|Function} [options.onExisting] - How to handle local edits;
+ *   see `writeGeneratedFile`. Defaults to `merge`, or `alongside` for files
+ *   without a stored copy of the last generated version
+ * @returns {Promise<Array<Object>>} The stale generations from
+ *   `findStaleOutputs`, each with `diffs` (`{file, diff}`, the upstream change
+ *   from the last generated version to the new one), the write `results`
+ *   and the `exports`: design token and format files written again
+ */
+async function upgradeProject(targetDir = process.cwd(), options = {}) {
+  const upgraded = [];
+
+  for (const generation of await findStaleOutputs(targetDir)) {
+    if (!generation.stale) continue;
+
+    const missing = generation.templates.filter(template => !template.to);
+    if (missing.length > 0) {
+      throw new Error(
+        `Cannot upgrade ${generation.files[0]}: template ${missing
+          .map(template => template.id)
+          .join(', ')} is no longer installed`
+      );
+    }
+
+    const renderOptions = {
+      ...generation.options,
+      answersFile:
+        generation.options.answersFile &&
+        path.resolve(targetDir, generation.options.answersFile),
+      answers: generation.options.answers || undefined,
+      tokensFile:
+        generation.options.tokensFile &&
+        path.resolve(targetDir, generation.options.tokensFile),
+    };
+    if (!renderOptions.answers && renderOptions.answersFile) {
+      ({ answers: renderOptions.answers } = await loadAnswersFile(
+        renderOptions.answersFile
+      ));
+    }
+    const ids = generation.templates.map(template => template.id);
+    const documents = await renderDocuments(ids, renderOptions);
+
+    const from = generation.templates.map(t => formatStampEntry(t.from));
+    const to = generation.templates.map(t => formatStampEntry(t.to));
+    const diffs = planTargets(documents, renderOptions.targets)
+      .map(({ file, content }) => {
+        const basePath = path.join(targetDir, BASE_DIR, file);
+        const base = fs.existsSync(basePath)
+          ? fs.readFileSync(basePath, 'utf-8')
+          : '';
+        return {
+          file,
+          diff: unifiedDiff(base, content, {
+            beforeLabel: `${file} (${from.join(' ')})`,
+            afterLabel: `${file} (${to.join(' ')})`,
+          }),
+        };
+      })
+      .filter(({ diff }) => diff);
+
+    const writeOptions = {
+      force: options.force,
+      onExisting:
+        options.onExisting ||
+        (existing => (existing.canMerge ? 'merge' : 'alongside')),
+    };
+    const results = await writeInstructions(targetDir, documents, {
+      ...writeOptions,
+      targets: renderOptions.targets,
+    });
+    await recordGeneration(targetDir, documents, results, renderOptions);
+
+    const exports = [
+      ...(renderOptions.designTokens
+        ? await exportDesignTokens(ids, targetDir, {
+            ...renderOptions,
+            ...writeOptions,
+          })
+        : []),
+      ...(await writeFormats(targetDir, documents, {
+        ...writeOptions,
+        formats: renderOptions.formats,
+      })),
+    ];
+
+    upgraded.push({ ...generation, diffs, results, exports });
+  }
+
+  return upgraded;
+}
+
+module.exports = {
+  findStaleOutputs,
+  upgradeProject,
+};
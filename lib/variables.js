@@ -0,0 +1,103 @@
+/**
+ * Template variables
+ * Templates (and their template-files) reference variables as `{{NAME}}`,
+ * upper snake case only, so GitHub Actions expressions (`${{ matrix.os }}`)
+ * and other lower-case moustache syntax in code samples are left untouched.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{([A-Z][A-Z0-9_]*)\}\}/g;
+const NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Answer keys that feed a variable when no explicit value is given
+const ANSWER_VARIABLES = {
+  projectName: 'PROJECT_NAME',
+};
+
+/**
+ * List the placeholders used in a piece of text
+ * @param {string} content - Text to scan
+ * @returns {Array<{name: string, line: number}>} 1-based lines
+ */
+function findPlaceholders(content) {
+  const found = [];
+  content.split('\n').forEach((line, index) => {
+    for (const match of line.matchAll(PLACEHOLDER_PATTERN)) {
+      found.push({ name: match[1], line: index + 1 });
+    }
+  });
+  return found;
+}
+
+/**
+ * Replace placeholders with their values, leaving unknown ones in place
+ * @param {string} content - Text containing `{{NAME}}` placeholders
+ * @param {Object<string, string>} values - Variable values by name
+ * @returns {{content: string, unresolved: string[]}}
+ */
+function substituteVariables(content, values) {
+  const unresolved = new Set();
+  const result = content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      unresolved.add(name);
+      return placeholder;
+    }
+    return String(values[name]);
+  });
+  return { content: result, unresolved: [...unresolved] };
+}
+
+/**
+ * Parse `NAME=value` pairs as given on the command line
+ * @param {string[]} assignments - e.g. `['PACKAGE_MANAGER=pnpm']`
+ * @returns {Object<string, string>}
+ */
+function parseVariableAssignments(assignments = []) {
+  const values = {};
+  assignments.forEach(assignment => {
+    const eq = assignment.indexOf('=');
+    const name = eq === -1 ? assignment : assignment.slice(0, eq);
+    if (eq === -1 || !NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid variable "${assignment}" (expected NAME=value with an upper-case NAME)`
+      );
+    }
+    values[name] = assignment.slice(eq + 1);
+  });
+  return values;
+}
+
+/**
+ * Resolve variable values for one template, from lowest to highest priority:
+ * template defaults, values derived from answers, the answers' `variables`
+ * block, then explicit overrides (CLI flags or the `variables` API option)
+ * @param {Object} declared - Template variable declarations (`{NAME: {default}}`)
+ * @param {Object} [answers] - Questionnaire answers
+ * @param {Object} [overrides] - Explicit values by name
+ * @returns {Object<string, string>}
+ */
+function resolveVariables(declared = {}, answers = {}, overrides = {}) {
+  const values = {};
+  Object.keys(declared).forEach(name => {
+    if (declared[name].default !== undefined) {
+      values[name] = declared[name].default;
+    }
+  });
+  Object.keys(ANSWER_VARIABLES).forEach(key => {
+    if (answers && answers[key]) {
+      values[ANSWER_VARIABLES[key]] = answers[key];
+    }
+  });
+  return {
+    ...values,
+    ...((answers && answers.variables) || {}),
+    ...overrides,
+  };
+}
+
+module.exports = {
+  NAME_PATTERN,
+  findPlaceholders,
+  substituteVariables,
+  parseVariableAssignments,
+  resolveVariables,
+};
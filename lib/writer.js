@@ -0,0 +1,169 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { unifiedDiff, merge3 } = require('./diff');
+
+/**
+ * Safe writes of generated files
+ * Every generated file is also stored under `<project>/.clean-vibe/base/`.
+ * On the next run that copy tells local edits apart from older generated
+ * output: an untouched file is simply updated, an edited one is only replaced
+ * when the caller says so, and can be three-way merged against the copy.
+ */
+
+const STATE_DIR = '.clean-vibe';
+const BASE_DIR = `${STATE_DIR}/base`;
+const EXISTING_STRATEGIES = [
+  'overwrite',
+  'keep',
+  'alongside',
+  'merge',
+  'error',
+];
+
+/**
+ * Path the generated version is written to with the `alongside` strategy
+ * @param {string} file - e.g. `.github/instructions.md`
+ * @returns {string} e.g. `.github/instructions.new.md`
+ */
+function alongsidePath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.new${ext}`;
+}
+
+async function readBase(targetDir, file) {
+  const basePath = path.join(targetDir, BASE_DIR, file);
+  return fs.existsSync(basePath) ? fs.readFile(basePath, 'utf-8') : null;
+}
+
+async function writeFile(targetDir, file, content) {
+  const target = path.join(targetDir, file);
+  await fs.ensureDir(path.dirname(target));
+  await fs.writeFile(target, content);
+  return target;
+}
+
+/**
+ * Write a generated file without clobbering local edits
+ * @param {string} targetDir - Project directory
+ * @param {string} file - Path relative to `targetDir`
+ * @param {string} content - Generated content
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite local edits without asking
+ * @param {string|Function} [options.onExisting] - What to do when the file
+ *   has local edits: `overwrite`, `keep`, `alongside` (write
+ *   `<name>.new.<ext>` next to it), `merge` (three-way, against the stored
+ *   copy of the last generated version) or `error` (default); or a function
+ *   receiving `{file, path, current, content, diff, canMerge}` that resolves
+ *   to one of those
+ * @param {boolean} [options.dryRun] - Work out what would happen without
+ *   touching the filesystem; a file with local edits and no strategy to
+ *   apply (`error`, or a function, which is not called) reports `conflict`
+ * @returns {Promise<{path: string, status: string, conflicts: number}>}
+ *   `status` is `created`, `unchanged`, `updated` (no local edits),
+ *   `overwritten`, `kept`, `alongside` or `merged`. A dry run adds the
+ *   `content` that would be written (the generated content, for `conflict`)
+ *   and a `diff` from the file as it is now
+ */
+async function writeGeneratedFile(targetDir, file, content, options = {}) {
+  const target = path.join(targetDir, file);
+  const exists = fs.existsSync(target);
+  const current = exists ? await fs.readFile(target, 'utf-8') : null;
+
+  const result = (status, written = content, at = file) => {
+    const entry = { path: path.join(targetDir, at), status, conflicts: 0 };
+    if (!options.dryRun) return entry;
+    // The file at `at` as it is now, and as this run would leave it
+    const before = at === file ? current : null;
+    const after = status === 'kept' ? current : written;
+    return {
+      ...entry,
+      content: after,
+      diff: unifiedDiff(before || '', after, {
+        beforeLabel: before === null ? `${at} (new file)` : at,
+        afterLabel: `${at} (generated)`,
+      }),
+    };
+  };
+  // Write the file and the copy of the generated version merges start from
+  const save = async (written = content) => {
+    if (options.dryRun) return;
+    await writeFile(targetDir, file, written);
+    await writeFile(targetDir, path.join(BASE_DIR, file), content);
+  };
+
+  if (!exists) {
+    await save();
+    return result('created');
+  }
+
+  const base = await readBase(targetDir, file);
+
+  if (current === content || current === base || options.force) {
+    await save();
+    if (current === content) return result('unchanged');
+    return result(current === base ? 'updated' : 'overwritten');
+  }
+
+  let decision = options.onExisting || 'error';
+  if (typeof decision === 'function') {
+    if (options.dryRun) return result('conflict');
+    decision = await decision({
+      file,
+      path: target,
+      current,
+      content,
+      diff: unifiedDiff(current, content, {
+        beforeLabel: file,
+        afterLabel: `${file} (generated)`,
+      }),
+      canMerge: base !== null,
+    });
+  }
+  if (!EXISTING_STRATEGIES.includes(decision)) {
+    throw new Error(
+      `Invalid strategy "${decision}" for existing files (expected ${EXISTING_STRATEGIES.join(', ')})`
+    );
+  }
+
+  switch (decision) {
+    case 'keep':
+      return result('kept');
+    case 'alongside': {
+      const at = alongsidePath(file);
+      if (!options.dryRun) await writeFile(targetDir, at, content);
+      return result('alongside', content, at);
+    }
+    case 'merge': {
+      if (base === null) {
+        throw new Error(
+          `Cannot merge ${file}: there is no copy of the last generated version in ${BASE_DIR}/`
+        );
+      }
+      const merged = merge3(base, current, content, {
+        ours: `${file} (local)`,
+        theirs: `${file} (generated)`,
+      });
+      await save(merged.content);
+      return {
+        ...result('merged', merged.content),
+        conflicts: merged.conflicts,
+      };
+    }
+    case 'overwrite':
+      await save();
+      return result('overwritten');
+    default:
+      if (options.dryRun) return result('conflict');
+      throw new Error(
+        `${file} has local changes. Re-run with --force to overwrite them, or with --on-existing keep, alongside or merge`
+      );
+  }
+}
+
+module.exports = {
+  STATE_DIR,
+  BASE_DIR,
+  EXISTING_STRATEGIES,
+  alongsidePath,
+  writeGeneratedFile,
+};
@@ -9,11 +9,11 @@ async function testCLI() {
   try {
     const result = await pkg.generatePRD('github', 'workflows', './test-cli-output');
     console.log('✅ GitHub workflows template generated successfully');
-    console.log('📄 Generated at:', result);
+    console.log('📄 Generated at:', result.path);
     
     // Check if the file contains the expected content
     const fs = require('fs-extra');
-    const content = fs.readFileSync(result, 'utf-8');
+    const content = fs.readFileSync(result.path, 'utf-8');
     
     if (content.includes('GitHub Workflows Development Instructions')) {
       console.log('✅ Content verification passed');
@@ -3,11 +3,24 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { spawnSync } = require('child_process');
 const pkg = require('./index.js');
 
+function runCli(args, options = {}) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'index.js'), ...args], {
+    encoding: 'utf-8',
+    ...options
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
 async function runTests() {
   console.log(chalk.blue('🧪 Running comprehensive tests for thrilled-vibe-starter\n'));
   
+  // Keep the user's own config and installed templates out of the tests
+  process.env.CLEAN_VIBE_HOME = path.resolve('./test-comprehensive/home');
+  delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+  
   let passedTests = 0;
   let totalTests = 0;
   
@@ -81,7 +94,7 @@ async function runTests() {
     const expectedPath = path.join(testDir, '.github/instructions.md');
     const exists = fs.existsSync(expectedPath);
     const content = exists ? fs.readFileSync(expectedPath, 'utf-8') : '';
-    return exists && content.includes('React Application') && result === expectedPath;
+    return exists && content.includes('React Application') && result.path === expectedPath;
   });
   
   await asyncTest('generatePRD creates Vanilla JS instructions', async () => {
@@ -112,6 +125,1121 @@ async function runTests() {
     return content.includes('GitHub Workflows Development Instructions');
   });
   
+  // Test template composition
+  await asyncTest('composePRD merges templates with a table of contents', async () => {
+    const result = await pkg.composePRD(['fe/react', 'be/node-express', 'github/workflows'], testDir);
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.startsWith('# Project Instructions') &&
+      content.includes('## Table of Contents') &&
+      content.includes('<!-- clean-vibe:layer fe/react -->') &&
+      content.includes('<!-- clean-vibe:end-layer github/workflows -->') &&
+      content.includes('## Node.js Express Backend Development Instructions');
+  });
+  
+  await asyncTest('composePRD emits shared sections only once', async () => {
+    const result = await pkg.composePRD(['fe/vanilla', 'be/node-express'], testDir);
+    const content = fs.readFileSync(result.path, 'utf-8');
+    const occurrences = content.split('prefer yarn for consistency').length - 1;
+    return occurrences === 1 &&
+      content.includes('_Shared with Frontend — Vanilla JavaScript: see [Package Management](#package-management)._');
+  });
+  
+  await asyncTest('composePRD with one template matches generatePRD', async () => {
+    const composed = fs.readFileSync((await pkg.composePRD(['be/python-django'], testDir)).path, 'utf-8');
+    const single = fs.readFileSync((await pkg.generatePRD('be', 'python-django', testDir)).path, 'utf-8');
+    return composed === single;
+  });
+  
+  await asyncTest('composePRD rejects malformed template ids', async () => {
+    try {
+      await pkg.composePRD(['react'], testDir);
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('Invalid template id "react"');
+    }
+  });
+  
+  // Test PRD questionnaire
+  await asyncTest('loadQuestionnaire parses sections and questions from questions.md', async () => {
+    const questionnaire = await pkg.loadQuestionnaire();
+    const overview = questionnaire.sections.find(s => s.key === 'projectOverviewVision');
+    const audience = overview.groups[0].questions.find(q => q.key === 'targetAudience');
+    return questionnaire.sections.length === 11 &&
+      audience.text === 'Who is the target audience?' &&
+      audience.hint === 'Primary and secondary users';
+  });
+  
+  await asyncTest('generatePRD prepends the project PRD when answers are given', async () => {
+    const answers = {
+      projectName: 'Acme Portal',
+      projectOverviewVision: { targetAudience: 'Property managers' },
+      technicalRequirements: { browsersSupported: ['Chrome', 'Safari'] }
+    };
+    const result = await pkg.generatePRD('fe', 'react', testDir, { answers });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    const prdIndex = content.indexOf('# Product Requirements - Acme Portal');
+    const templateIndex = content.indexOf('# Frontend Development Instructions - React Application');
+    return prdIndex === 0 && templateIndex > prdIndex &&
+      content.includes('**Who is the target audience?**\n\nProperty managers') &&
+      content.includes('- Chrome\n- Safari') &&
+      !content.includes('## Security & Compliance');
+  });
+  
+  await asyncTest('composePRD anchors its contents after the headings of the PRD above it', async () => {
+    const prdTemplates = path.resolve(testDir, 'prd-anchor-templates');
+    ['one', 'two'].forEach(name => {
+      fs.outputJsonSync(path.join(prdTemplates, `docs/${name}/template.json`), { name, description: name });
+      fs.outputFileSync(path.join(prdTemplates, `docs/${name}/instructions.md`), `# ${name}\n\n## Core Purpose\n\nWhy ${name}.\n`);
+    });
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = prdTemplates;
+    try {
+      const answers = { projectOverviewVision: { targetAudience: 'Property managers' } };
+      const result = await pkg.composePRD(['docs/one', 'docs/two'], path.resolve(testDir, 'prd-anchors'), { answers });
+      const content = fs.readFileSync(result.path, 'utf-8');
+      return content.includes('\n### Core Purpose\n\n**Who is the target audience?**') &&
+        content.includes('- [Core Purpose](#core-purpose-1)') && content.includes('- [Core Purpose](#core-purpose-2)');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test answers files
+  await asyncTest('generatePRD renders a YAML answers file', async () => {
+    const answersFile = path.join(testDir, 'answers.yml');
+    fs.outputFileSync(answersFile, [
+      'projectName: Acme Portal',
+      'functionalRequirements:',
+      '  features:',
+      '    - Tenant dashboard',
+      '  authenticationMethods: OAuth'
+    ].join('\n'));
+    const result = await pkg.generatePRD('be', 'node-express', testDir, { answersFile });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.startsWith('# Product Requirements - Acme Portal') &&
+      content.includes('- Tenant dashboard') &&
+      content.includes('Node.js Express API');
+  });
+  
+  await asyncTest('readAnswersFile reports unknown and missing keys with lines', async () => {
+    const answersFile = path.join(testDir, 'answers.json');
+    fs.outputFileSync(answersFile, JSON.stringify({
+      projectOverviewVision: { targetAudience: 'Teams', audienceSize: 10 },
+      browsers: ['Chrome']
+    }, null, 2));
+    const { answers, errors, warnings, missing } = await pkg.readAnswersFile(answersFile);
+    return answers === null &&
+      errors.includes(`${answersFile}:4:5 unknown key "audienceSize" in section "projectOverviewVision"`) &&
+      errors.includes(`${answersFile}:6:3 unknown key "browsers"`) &&
+      errors.some(e => e.includes('missing required key "projectName"')) &&
+      missing.length === 18 && missing[0] === 'projectOverviewVision.primaryPurpose' && missing.includes('technicalRequirements') &&
+      warnings.length === 1 &&
+      warnings[0].startsWith('18 unanswered section(s) and question(s) of questions.md: projectOverviewVision.primaryPurpose, ');
+  });
+  
+  await asyncTest('Questionnaire keys are declared in questions.md', async () => {
+    const questionsFile = path.join(testDir, 'questions.md');
+    fs.outputFileSync(questionsFile, '## Scope <!-- key: scope -->\n\n### Goals\n- **Why build it?** <!-- key: why -->\n- **Who for?**\n');
+    let message = '';
+    try {
+      await pkg.loadQuestionnaire(questionsFile);
+    } catch (error) {
+      message = error.message;
+    }
+    fs.outputFileSync(questionsFile, '## Scope <!-- key: scope -->\n\n### Goals\n- **Why build it, really?** (one line) <!-- key: why -->\n');
+    const [scope] = (await pkg.loadQuestionnaire(questionsFile)).sections;
+    return message === 'questions.md:5 question has no <!-- key: ... -->' &&
+      scope.key === 'scope' && scope.title === 'Scope' &&
+      scope.groups[0].questions[0].key === 'why' && scope.groups[0].questions[0].hint === 'one line';
+  });
+  
+  await asyncTest('generatePRD rejects an invalid answers file', async () => {
+    const answersFile = path.join(testDir, 'broken.yml');
+    fs.outputFileSync(answersFile, 'projectName: Acme\nfeatures: [a, b]\n');
+    try {
+      await pkg.generatePRD('fe', 'react', testDir, { answersFile });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes(`${answersFile}:2:1 unknown key "features"`);
+    }
+  });
+  
+  // Test template variables
+  await asyncTest('generatePRD fills template variables from defaults', async () => {
+    const result = await pkg.generatePRD('fe', 'react', testDir);
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.includes('"HuisHelder"') &&
+      content.includes('| Brand Primary       | Deep Olive Green | `#3A4F41` | `--color-primary`      |') &&
+      content.includes('yarn add zustand') &&
+      !/\{\{[A-Z_]+\}\}/.test(content);
+  });
+  
+  await asyncTest('generatePRD variables override answers and defaults', async () => {
+    const answers = { projectName: 'acme-portal', variables: { PACKAGE_MANAGER: 'npm', COLOR_PRIMARY: '#112233' } };
+    const variables = { PACKAGE_MANAGER: 'pnpm' };
+    const result = await pkg.generatePRD('fe', 'react', testDir, { answers, variables });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.includes('pnpm create react-app acme-portal') &&
+      content.includes('--color-primary: #112233;') &&
+      !/^npm add/m.test(content);
+  });
+  
+  await asyncTest('generatePRD leaves GitHub Actions expressions untouched', async () => {
+    const result = await pkg.generatePRD('github', 'workflows', testDir, { variables: { NODE_VERSION: '20' } });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.includes("node-version: '20'") &&
+      content.includes('${{ matrix.node-version }}') &&
+      content.includes('type=semver,pattern={{version}}');
+  });
+  
+  test('getTemplateInfo lists template variables with defaults', () => {
+    const info = pkg.getTemplateInfo('be', 'node-express');
+    return info.variables.NODE_VERSION.default === '18' && 'PROJECT_NAME' in info.variables;
+  });
+  
+  await asyncTest('generatePRD keeps optional features by default', async () => {
+    const result = await pkg.generatePRD('be', 'node-express', testDir);
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return content.includes('### Redis Connection') &&
+      content.includes('yarn add express-rate-limit') &&
+      !content.includes('@include-if') && !content.includes('@end');
+  });
+  
+  await asyncTest('generatePRD drops the blocks of disabled features', async () => {
+    const result = await pkg.generatePRD('be', 'node-express', testDir, { features: { redis: false } });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    return !content.includes('### Redis Connection') &&
+      !content.includes('REDIS_URL') &&
+      !content.includes("import { redis }") &&
+      content.includes('yarn add express-rate-limit') &&
+      content.includes('SMTP_HOST');
+  });
+  
+  await asyncTest('generatePRD rejects features no selected template declares', async () => {
+    try {
+      await pkg.generatePRD('fe', 'react', testDir, { features: { celery: false } });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('Unknown feature "celery"');
+    }
+  });
+  
+  test('Conditional blocks report unclosed directives with their line', () => {
+    const { applyConditionals } = require('./lib/conditionals');
+    try {
+      applyConditionals('# Title\n<!-- @include-if redis -->\nRedis', { redis: true }, 'x.md');
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('x.md:2 @include-if redis is never closed');
+    }
+  });
+  
+  test('getTemplateInfo lists optional features', () => {
+    const info = pkg.getTemplateInfo('be', 'python-django');
+    return info.features.celery.default === true;
+  });
+  
+  // Test scaffolding
+  await asyncTest('generatePRD with scaffold copies starter files with variables filled in', async () => {
+    const outDir = path.join(testDir, 'scaffold');
+    await pkg.generatePRD('fe', 'react', outDir, { scaffold: true, variables: { PROJECT_NAME: 'acme-portal' } });
+    const manifest = fs.readJsonSync(path.join(outDir, 'package.json'));
+    return manifest.name === 'acme-portal' &&
+      fs.existsSync(path.join(outDir, 'src/stores/authStore.ts')) &&
+      fs.existsSync(path.join(outDir, '.github/instructions.md'));
+  });
+  
+  await asyncTest('scaffoldProject keeps existing files unless told to overwrite', async () => {
+    const outDir = path.join(testDir, 'scaffold');
+    fs.writeFileSync(path.join(outDir, 'tsconfig.json'), '{}');
+    const kept = await pkg.scaffoldProject(['fe/react'], outDir, { variables: { PROJECT_NAME: 'acme-portal' } });
+    const keptContent = fs.readFileSync(path.join(outDir, 'tsconfig.json'), 'utf-8');
+    await pkg.scaffoldProject(['fe/react'], outDir, { onConflict: 'overwrite' });
+    const status = file => kept.find(r => r.file === file).status;
+    return status('tsconfig.json') === 'skipped' && status('package.json') === 'unchanged' &&
+      keptContent === '{}' &&
+      fs.readJsonSync(path.join(outDir, 'package.json')).name === 'my-app';
+  });
+  
+  await asyncTest('scaffoldProject with onConflict error writes nothing', async () => {
+    const outDir = path.join(testDir, 'scaffold-error');
+    fs.outputFileSync(path.join(outDir, 'vite.config.ts'), '// mine');
+    try {
+      await pkg.scaffoldProject(['fe/react'], outDir, { onConflict: 'error' });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('vite.config.ts') && !fs.existsSync(path.join(outDir, 'package.json'));
+    }
+  });
+  
+  test('getTemplateInfo lists starter files', () => {
+    const info = pkg.getTemplateInfo('fe', 'react');
+    return info.files.includes('src/router/index.ts') && pkg.getTemplateInfo('fe', 'vanilla').files.length === 0;
+  });
+  
+  // Test design tokens
+  const tokensDir = path.join(testDir, 'design-tokens-project');
+  const brandTokens = path.join(testDir, 'brand-tokens.json');
+  fs.outputJsonSync(brandTokens, {
+    color: {
+      $type: 'color',
+      ink: { $value: '#111111', $description: 'Body text' },
+      brand: { $value: '#0055FF', $description: 'Brand' },
+      link: { $value: '{color.brand}', $description: 'Links' }
+    }
+  });
+  
+  await asyncTest('generatePRD exports the template design tokens next to the instructions on request', async () => {
+    const result = await pkg.generatePRD('fe', 'react', tokensDir, { variables: { COLOR_PRIMARY: '#112233' }, designTokens: true });
+    const tokens = fs.readJsonSync(path.join(tokensDir, 'design-tokens/tokens.json'));
+    const css = fs.readFileSync(path.join(tokensDir, 'design-tokens/variables.css'), 'utf-8');
+    const ts = fs.readFileSync(path.join(tokensDir, 'design-tokens/tokens.ts'), 'utf-8');
+    const skipped = await pkg.generatePRD('fe', 'react', testDir, { preview: true });
+    return result.designTokens.map(entry => entry.file).join() === 'design-tokens/tokens.json,design-tokens/variables.css,design-tokens/tokens.ts' &&
+      tokens.color.primary.$value === '#112233' && tokens.color.$type === 'color' &&
+      css.includes('  --color-primary: #112233;\n') && css.includes('  --space-4: 16px;') &&
+      ts.includes("    primary: '#112233',") && ts.includes('      bold: 700,') && ts.includes('} as const;') &&
+      result.content.includes('--color-primary: #112233;') &&
+      skipped.designTokens.length === 0;
+  });
+  
+  await asyncTest('A user tokens file replaces the palette in the instructions and the exports', async () => {
+    const result = await pkg.generatePRD('fe', 'react', tokensDir, { tokensFile: brandTokens, designTokens: true });
+    const css = fs.readFileSync(path.join(tokensDir, 'design-tokens/variables.css'), 'utf-8');
+    const cli = runCli(['generate', 'fe/vanilla', '--tokens', brandTokens, '--out', testDir]);
+    return result.content.includes('| Purpose   | Hex       | CSS Variable    |\n| --------- | --------- | --------------- |\n| Body text | `#111111` | `--color-ink`   |') &&
+      result.content.includes('| Links     | `#0055FF` | `--color-link`  |') &&
+      !result.content.includes('Deep Olive Green') && !result.content.includes('--color-primary:') &&
+      css.includes('  --color-link: #0055FF;') && css.includes('  --radius-md: 12px;') &&
+      fs.readJsonSync(path.join(tokensDir, '.clean-vibe/generations.json')).generations.pop().options.tokensFile === '../brand-tokens.json' &&
+      cli.status === 1 && cli.stderr.includes('replaces design tokens, but fe/vanilla has none to replace');
+  });
+  
+  test('CLI generate writes only the instructions unless --design-tokens is given', () => {
+    const plainDir = path.join(testDir, 'tokens-opt-in');
+    const plain = runCli(['generate', 'fe/react', '--out', plainDir]);
+    const files = fs.readdirSync(plainDir).filter(file => file !== '.clean-vibe');
+    const opted = runCli(['generate', 'fe/react', '--design-tokens', '--out', plainDir]);
+    return plain.status === 0 && files.join() === '.github' && plain.stdout.includes('Wrote React instructions to .github/instructions.md') &&
+      fs.readdirSync(path.join(plainDir, '.github')).join() === 'instructions.md' &&
+      opted.status === 0 && fs.existsSync(path.join(plainDir, 'design-tokens/variables.css'));
+  });
+  
+  await asyncTest('Invalid design tokens name the file and token', async () => {
+    const brokenTemplates = path.resolve(testDir, 'token-templates');
+    const brokenDir = path.join(brokenTemplates, 'fe/brand');
+    fs.outputJsonSync(path.join(brokenDir, 'template.json'), { name: 'Brand', description: 'Tokens only', tokens: 'tokens.json' });
+    fs.outputFileSync(path.join(brokenDir, 'instructions.md'), '# Brand\n\n<!-- @tokens palette -->\n<!-- @tokens fonts -->\n');
+    fs.outputJsonSync(path.join(brokenDir, 'tokens.json'), { space: { $type: 'dimension', sm: { $value: '4 pixels' }, md: { $value: '{space.lg}' } } });
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = brokenTemplates;
+    try {
+      let message = '';
+      try {
+        await pkg.generatePRD('fe', 'brand', testDir, { preview: true });
+      } catch (error) {
+        message = error.message;
+      }
+      const problems = pkg.lintTemplates(brokenTemplates)[0].problems;
+      return message.startsWith('Invalid design tokens ') && message.endsWith('fe/brand/tokens.json: "space.sm" is not a valid dimension: "4 pixels"') &&
+        problems.length === 1 && problems[0].rule === 'tokens' && problems[0].message.startsWith('"space.sm" is not a valid dimension');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test output formats
+  const formatsDir = path.join(testDir, 'formats-project');
+  
+  test('parseDocument nests blocks under their headings', () => {
+    const tree = pkg.parseDocument([
+      '# Guide',
+      '<!-- @section setup -->',
+      '## Setup',
+      'Run **this**:',
+      '- [x] install',
+      '  ```bash',
+      '  npm ci',
+      '  ```',
+      '- [ ] build',
+      '  - nested',
+      '',
+      '| A | B |',
+      '|---|--:|',
+      '| 1 | 2 |',
+      '### Setup',
+      '## Setup'
+    ].join('\n'));
+    const [setup, again] = tree.sections;
+    const [paragraph, list, table] = setup.blocks;
+    return tree.title === 'Guide' && setup.id === 'setup' && setup.sections[0].id === 'setup-1' && again.id === 'setup-2' &&
+      paragraph.text === 'Run **this**:' && paragraph.line === 4 &&
+      list.items.length === 2 && list.items[0].checked === true && list.items[1].checked === false &&
+      list.items[0].blocks[0].type === 'code' && list.items[0].blocks[0].language === 'bash' && list.items[0].blocks[0].code === 'npm ci' &&
+      list.items[1].blocks[0].items[0].text === 'nested' &&
+      JSON.stringify(table.align) === '[null,"right"]' && JSON.stringify(table.rows) === '[["1","2"]]';
+  });
+  
+  await asyncTest('generatePRD writes the instructions as HTML, print HTML and a JSON tree', async () => {
+    const result = await pkg.generatePRD('fe', 'react', formatsDir, { formats: 'all' });
+    const html = fs.readFileSync(path.join(formatsDir, 'prd/instructions.html'), 'utf-8');
+    const print = fs.readFileSync(path.join(formatsDir, 'prd/instructions.print.html'), 'utf-8');
+    const tree = fs.readJsonSync(path.join(formatsDir, 'prd/instructions.json'));
+    const overview = tree.sections.find(section => section.id === '-overview');
+    const structure = tree.sections.find(section => section.id === '-project-structure');
+    return result.formats.map(entry => `${entry.format}:${entry.file}`).join() === 'html:prd/instructions.html,print:prd/instructions.print.html,json:prd/instructions.json' &&
+      html.startsWith('<!DOCTYPE html>') && html.includes('<nav aria-label="Contents">\n<ul><li><a href="#-overview">🚀 Overview</a>') &&
+      html.includes('<h2 id="-overview">🚀 Overview</h2>') &&
+      html.includes('<pre data-language="typescript"><code class="language-typescript"><span class="hljs-keyword">import</span>') &&
+      !html.includes('@tokens') && !html.includes('clean-vibe:stamp') &&
+      print.includes('@page { size: A4;') && print.includes('<h2>Contents</h2>') &&
+      tree.schemaVersion === 1 && tree.title.startsWith('Frontend Development Instructions') &&
+      tree.templates[0].id === 'fe/react' && overview.level === 2 && overview.blocks[0].type === 'paragraph' &&
+      structure.blocks.some(block => block.type === 'code' && block.language === null);
+  });
+  
+  test('Unknown output formats are rejected', () => {
+    const cli = runCli(['generate', 'fe/vanilla', '--format', 'html,pdf', '--out', testDir]);
+    return cli.status === 1 && cli.stderr.includes('Unknown output format "pdf" (available: html, print, json, all)');
+  });
+  
+  // Test safe writes of existing instructions
+  const safeDir = path.join(testDir, 'safe-writes');
+  const safeFile = path.join(safeDir, '.github/instructions.md');
+  const editSafeFile = () => fs.writeFileSync(safeFile, fs.readFileSync(safeFile, 'utf-8').replace('# ', '# Team notes: keep PRs small\n\n# '));
+  
+  await asyncTest('generatePRD updates its own unedited output and keeps a base copy', async () => {
+    await pkg.generatePRD('be', 'node-express', safeDir);
+    await pkg.generatePRD('be', 'node-express', safeDir, { variables: { NODE_VERSION: '20' } });
+    return fs.readFileSync(safeFile, 'utf-8').includes('FROM node:20-alpine') &&
+      fs.readFileSync(path.join(safeDir, '.clean-vibe/base/.github/instructions.md'), 'utf-8') === fs.readFileSync(safeFile, 'utf-8');
+  });
+  
+  await asyncTest('generatePRD refuses to clobber local edits by default', async () => {
+    editSafeFile();
+    try {
+      await pkg.generatePRD('be', 'node-express', safeDir);
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('has local changes') &&
+        fs.readFileSync(safeFile, 'utf-8').includes('Team notes');
+    }
+  });
+  
+  await asyncTest('generatePRD can keep the edited file or write alongside it', async () => {
+    const before = fs.readFileSync(safeFile, 'utf-8');
+    await pkg.generatePRD('be', 'node-express', safeDir, { onExisting: 'keep' });
+    const kept = fs.readFileSync(safeFile, 'utf-8') === before;
+    const written = await pkg.generatePRD('be', 'node-express', safeDir, { onExisting: 'alongside' });
+    return kept && written.path === path.join(safeDir, '.github/instructions.new.md') &&
+      fs.readFileSync(safeFile, 'utf-8') === before &&
+      fs.readFileSync(written.path, 'utf-8').includes('FROM node:18-alpine');
+  });
+  
+  await asyncTest('generatePRD three-way merges new output into local edits', async () => {
+    await pkg.generatePRD('be', 'node-express', safeDir, { onExisting: 'merge', variables: { NODE_VERSION: '22' } });
+    const content = fs.readFileSync(safeFile, 'utf-8');
+    return content.includes('Team notes: keep PRs small') &&
+      content.includes('FROM node:22-alpine') &&
+      !content.includes('<<<<<<<');
+  });
+  
+  await asyncTest('merge marks regions changed on both sides as conflicts', async () => {
+    fs.writeFileSync(safeFile, fs.readFileSync(safeFile, 'utf-8').replace('FROM node:22-alpine', 'FROM node:22-bookworm'));
+    await pkg.generatePRD('be', 'node-express', safeDir, { onExisting: 'merge', variables: { NODE_VERSION: '24' } });
+    const content = fs.readFileSync(safeFile, 'utf-8');
+    return /<<<<<<< .*\nFROM node:22-bookworm\n=======\nFROM node:24-alpine\n>>>>>>> /.test(content);
+  });
+  
+  test('CLI generate fails on local edits without a terminal and --force overwrites them', () => {
+    editSafeFile();
+    const refused = runCli(['generate', 'be/node-express', '--out', safeDir]);
+    const forced = runCli(['generate', 'be/node-express', '--out', safeDir, '--force']);
+    return refused.status === 1 && refused.stderr.includes('--force') &&
+      forced.status === 0 && forced.stdout.includes('Overwrote the local changes in .github/instructions.md') &&
+      !fs.readFileSync(safeFile, 'utf-8').includes('Team notes');
+  });
+  
+  test('CLI generate says when the instructions are already up to date', () => {
+    const again = runCli(['generate', 'be/node-express', '--out', safeDir]);
+    return again.status === 0 && again.stdout.includes('.github/instructions.md is up to date; nothing written') &&
+      !again.stdout.includes('Wrote ');
+  });
+  
+  // Test output targets
+  await asyncTest('composePRD with all targets writes every agent convention', async () => {
+    const outDir = path.join(testDir, 'targets-all');
+    await pkg.composePRD(['fe/react', 'be/node-express'], outDir, { targets: 'all' });
+    const files = ['.github/instructions.md', '.github/copilot-instructions.md', '.github/instructions/react-node-express.instructions.md', 'CLAUDE.md', 'AGENTS.md', '.cursor/rules/react-node-express.mdc', '.windsurfrules'];
+    const scoped = fs.readFileSync(path.join(outDir, files[2]), 'utf-8');
+    return files.every(file => fs.existsSync(path.join(outDir, file))) &&
+      scoped.startsWith('---\napplyTo: "**"\n---\n\n# ') &&
+      fs.readFileSync(path.join(outDir, 'AGENTS.md'), 'utf-8') === fs.readFileSync(path.join(outDir, files[0]), 'utf-8');
+  });
+  
+  test('CLI generate --target writes only the chosen agent files', () => {
+    const outDir = path.join(testDir, 'cli-targets');
+    const { status, stdout } = runCli(['generate', 'fe/react', '--target', 'claude,cursor', '--out', outDir]);
+    const rule = fs.readFileSync(path.join(outDir, '.cursor/rules/react.mdc'), 'utf-8');
+    return status === 0 && stdout.includes('CLAUDE.md') &&
+      fs.existsSync(path.join(outDir, 'CLAUDE.md')) &&
+      /^---\ndescription: ".*React.*"\nglobs: ""\nalwaysApply: true\n---\n/.test(rule) &&
+      !fs.existsSync(path.join(outDir, '.github/instructions.md'));
+  });
+  
+  test('CLI generate rejects unknown output targets', () => {
+    const { status, stderr } = runCli(['generate', 'fe/react', '--target', 'emacs', '--out', testDir]);
+    return status === 1 && stderr.includes('Unknown output target "emacs"') && stderr.includes('windsurf');
+  });
+  
+  // Test scoped rule files
+  await asyncTest('generatePRD without split drops @section markers', async () => {
+    const content = fs.readFileSync((await pkg.generatePRD('fe', 'react', testDir)).path, 'utf-8');
+    return !content.includes('@section') && content.includes('## 🎨 Styling Implementation\n');
+  });
+  
+  await asyncTest('generatePRD with split moves scoped sections into linked rule files', async () => {
+    const outDir = path.join(testDir, 'split');
+    const index = fs.readFileSync((await pkg.generatePRD('fe', 'react', outDir, { split: true })).path, 'utf-8');
+    const styling = fs.readFileSync(path.join(outDir, '.github/instructions/react-styling.md'), 'utf-8');
+    return !index.includes('## 🎨 Styling Implementation') &&
+      index.includes('- [🎨 Styling Implementation](instructions/react-styling.md) — `src/styles/**`, `**/*.module.css`') &&
+      styling.startsWith('# 🎨 Styling Implementation\n') &&
+      styling.includes('\n## 1. Global CSS Variables\n');
+  });
+  
+  test('CLI generate --split writes Copilot path-specific files with applyTo', () => {
+    const outDir = path.join(testDir, 'cli-split');
+    const { status } = runCli(['generate', 'be/node-express', '--split', '--target', 'copilot,copilot-scoped', '--out', outDir]);
+    const api = fs.readFileSync(path.join(outDir, '.github/instructions/node-express-api.instructions.md'), 'utf-8');
+    const index = fs.readFileSync(path.join(outDir, '.github/copilot-instructions.md'), 'utf-8');
+    return status === 0 &&
+      api.startsWith('---\napplyTo: "src/controllers/**,src/routes/**"\n---\n\n# API Controllers\n') &&
+      index.includes('](instructions/node-express-api.instructions.md)') &&
+      fs.readFileSync(path.join(outDir, '.github/instructions/node-express.instructions.md'), 'utf-8').startsWith('---\napplyTo: "**"\n');
+  });
+  
+  await asyncTest('Misplaced @section markers are reported with their line', async () => {
+    const badTemplates = path.resolve(testDir, 'section-templates');
+    fs.outputJsonSync(path.join(badTemplates, 'docs/notes/template.json'), { name: 'Notes', description: 'Notes' });
+    fs.outputFileSync(path.join(badTemplates, 'docs/notes/instructions.md'), '# Notes\n\n## Style\n\n<!-- @section style -->\n');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = badTemplates;
+    try {
+      await pkg.generatePRD('docs', 'notes', testDir, { split: true });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('docs/notes/instructions.md:5 @section must be on the line right below a ## heading');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Cursor front matter quotes descriptions and globs', async () => {
+    const notesTemplates = path.resolve(testDir, 'front-matter-templates');
+    const outDir = path.resolve(testDir, 'front-matter');
+    fs.outputJsonSync(path.join(notesTemplates, 'docs/notes/template.json'), { name: 'Notes', description: 'Notes' });
+    fs.outputFileSync(path.join(notesTemplates, 'docs/notes/instructions.md'), '# Notes\n\n## Testing\n<!-- @section testing applyTo="*.test.js" -->\n\nTest it.\n');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = notesTemplates;
+    try {
+      await pkg.generatePRD('docs', 'notes', outDir, { split: true, targets: ['cursor'] });
+      return fs.readFileSync(path.join(outDir, '.cursor/rules/notes-testing.mdc'), 'utf-8')
+        .startsWith('---\ndescription: "docs — Notes: Testing"\nglobs: "*.test.js"\nalwaysApply: false\n---\n');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test project and user config
+  const rcProject = path.resolve(testDir, 'rc-project');
+  fs.outputFileSync(path.join(rcProject, '.cleanviberc'), [
+    'templates: [be/node-express]',
+    'targets: [claude, agents]',
+    'variables:',
+    '  NODE_VERSION: 20',
+    'features:',
+    '  redis: false',
+    'presets:',
+    '  web:',
+    '    templates: [fe/react]',
+    '    targets: cursor',
+    ''
+  ].join('\n'));
+  fs.ensureDirSync(path.join(rcProject, 'src/api'));
+  
+  test('CLI generate without ids reproduces the setup pinned in .cleanviberc', () => {
+    const { status } = runCli(['generate'], { cwd: path.join(rcProject, 'src/api') });
+    const content = fs.readFileSync(path.join(rcProject, 'CLAUDE.md'), 'utf-8');
+    return status === 0 &&
+      content.includes('FROM node:20-alpine') &&
+      !content.includes('REDIS_URL') &&
+      fs.readFileSync(path.join(rcProject, 'AGENTS.md'), 'utf-8') === content &&
+      !fs.existsSync(path.join(rcProject, '.github/instructions.md'));
+  });
+  
+  test('Command-line flags and presets override .cleanviberc', () => {
+    const flags = runCli(['generate', '--var', 'NODE_VERSION=22', '--with', 'redis'], { cwd: rcProject });
+    const content = fs.readFileSync(path.join(rcProject, 'CLAUDE.md'), 'utf-8');
+    const preset = runCli(['generate', '--preset', 'web'], { cwd: rcProject });
+    const unknown = runCli(['generate', '--preset', 'mobile'], { cwd: rcProject });
+    return flags.status === 0 && content.includes('FROM node:22-alpine') && content.includes('REDIS_URL') &&
+      preset.status === 0 && fs.existsSync(path.join(rcProject, '.cursor/rules/react.mdc')) &&
+      unknown.status === 1 && unknown.stderr.includes('Unknown preset "mobile" (available: web)');
+  });
+  
+  test('User config defaults apply below the project config', () => {
+    const configFile = path.join(process.env.CLEAN_VIBE_HOME, 'config.json');
+    fs.outputJsonSync(configFile, { defaults: { targets: ['windsurf'], split: true, variables: { NODE_VERSION: '18', PROJECT_NAME: 'mine' } } });
+    try {
+      const { settings, files } = pkg.loadSettings({ cwd: rcProject });
+      return files.length === 2 &&
+        settings.targets.join(',') === 'claude,agents' &&
+        settings.split === true &&
+        settings.variables.NODE_VERSION === '20' &&
+        settings.variables.PROJECT_NAME === 'mine';
+    } finally {
+      fs.removeSync(configFile);
+    }
+  });
+  
+  test('Invalid .cleanviberc settings are reported with the file', () => {
+    const badProject = path.resolve(testDir, 'rc-invalid');
+    fs.outputJsonSync(path.join(badProject, '.cleanviberc.json'), { template: 'fe/react', features: { redis: 'no' } });
+    try {
+      pkg.loadSettings({ cwd: badProject });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes(path.join(badProject, '.cleanviberc.json')) &&
+        error.message.includes('unknown key "template"') &&
+        error.message.includes('"features.redis" must be true or false');
+    }
+  });
+  
+  // Test stamps and upgrades
+  const upgradeTemplates = path.resolve(testDir, 'upgrade-templates');
+  const upgradeDir = path.resolve(testDir, 'upgrade-project');
+  const writeNotesTemplate = (version, rule) => {
+    fs.outputJsonSync(path.join(upgradeTemplates, 'docs/notes/template.json'), { name: 'Notes', description: 'Team notes', version });
+    fs.outputFileSync(path.join(upgradeTemplates, 'docs/notes/instructions.md'), `# Notes\n\nRule one.\n\nIntro.\n\n${rule}\n`);
+    pkg.clearRegistryCache();
+  };
+  
+  await asyncTest('Generated instructions are stamped with template id, version and hash', async () => {
+    const content = fs.readFileSync((await pkg.generatePRD('fe', 'react', testDir)).path, 'utf-8');
+    const version = fs.readJsonSync(path.join(__dirname, 'templates/fe/react/template.json')).version;
+    return new RegExp(`\n<!-- clean-vibe:stamp fe/react@${version.replace(/\./g, '\\.')}#[0-9a-f]{12} -->\n$`).test(content) &&
+      pkg.getTemplateInfo('fe', 'react').version === version;
+  });
+  
+  await asyncTest('upgradeProject merges template changes into locally edited output', async () => {
+    writeNotesTemplate('1.0.0', 'Rule two.');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = upgradeTemplates;
+    try {
+      await pkg.generatePRD('docs', 'notes', upgradeDir, { targets: ['github', 'agents'] });
+      const fresh = (await pkg.findStaleOutputs(upgradeDir)).every(output => !output.stale);
+      const agentsFile = path.join(upgradeDir, 'AGENTS.md');
+      fs.writeFileSync(agentsFile, fs.readFileSync(agentsFile, 'utf-8').replace('# Notes', '# Notes for the platform team'));
+      writeNotesTemplate('1.1.0', 'Rule two, revised.');
+      
+      const [stale] = await pkg.findStaleOutputs(upgradeDir);
+      const [upgraded] = await pkg.upgradeProject(upgradeDir);
+      const agents = fs.readFileSync(agentsFile, 'utf-8');
+      return fresh && stale.stale &&
+        stale.templates[0].from.version === '1.0.0' && stale.templates[0].to.version === '1.1.0' &&
+        upgraded.diffs.some(({ diff }) => diff.includes('+Rule two, revised.')) &&
+        agents.includes('# Notes for the platform team') && agents.includes('Rule two, revised.') &&
+        agents.includes('<!-- clean-vibe:stamp docs/notes@1.1.0#') &&
+        (await pkg.findStaleOutputs(upgradeDir)).every(output => !output.stale);
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  test('CLI upgrade reports stale instructions and the upstream diff', () => {
+    writeNotesTemplate('1.2.0', 'Rule two, revised again.');
+    const env = { ...process.env, CLEAN_VIBE_TEMPLATE_PATH: upgradeTemplates };
+    const { status, stdout } = runCli(['upgrade', '--out', upgradeDir], { env });
+    const again = runCli(['upgrade', '--out', upgradeDir], { env });
+    return status === 0 &&
+      stdout.includes('docs/notes: docs/notes@1.1.0#') && stdout.includes('→ docs/notes@1.2.0#') &&
+      stdout.includes('+Rule two, revised again.') &&
+      again.stdout.includes('All generated instructions are up to date');
+  });
+  
+  await asyncTest('A version bump without content changes leaves outputs up to date', async () => {
+    writeNotesTemplate('1.3.0', 'Rule two, revised again.');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = upgradeTemplates;
+    try {
+      const [output] = await pkg.findStaleOutputs(upgradeDir);
+      return !output.stale && output.templates[0].from.version === '1.2.0' && output.templates[0].to.version === '1.3.0';
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('upgradeProject writes the recorded design tokens and formats again', async () => {
+    const memoTemplates = path.resolve(testDir, 'memo-templates');
+    const memoDir = path.resolve(testDir, 'memo-project');
+    const writeMemoTemplate = (rule, ink) => {
+      fs.outputJsonSync(path.join(memoTemplates, 'docs/memo/template.json'), { name: 'Memo', description: 'Memo rules', tokens: 'tokens.json' });
+      fs.outputFileSync(path.join(memoTemplates, 'docs/memo/instructions.md'), `# Memo\n\n${rule}\n`);
+      fs.outputJsonSync(path.join(memoTemplates, 'docs/memo/tokens.json'), { color: { $type: 'color', ink: { $value: ink } } });
+      pkg.clearRegistryCache();
+    };
+    writeMemoTemplate('Be brief.', '#111111');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = memoTemplates;
+    try {
+      await pkg.generatePRD('docs', 'memo', memoDir, { designTokens: true, formats: 'json' });
+      const recorded = fs.readJsonSync(path.join(memoDir, '.clean-vibe/generations.json')).generations[0].options;
+      writeMemoTemplate('Be briefer.', '#222222');
+      const [upgraded] = await pkg.upgradeProject(memoDir);
+      const tree = fs.readJsonSync(path.join(memoDir, 'prd/instructions.json'));
+      return recorded.designTokens === true && recorded.formats.join() === 'json' &&
+        upgraded.exports.map(result => result.file).join() === 'design-tokens/tokens.json,design-tokens/variables.css,design-tokens/tokens.ts,prd/instructions.json' &&
+        fs.readFileSync(path.join(memoDir, 'design-tokens/variables.css'), 'utf-8').includes('--color-ink: #222222;') &&
+        JSON.stringify(tree).includes('Be briefer.');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test template inheritance
+  const inheritTemplates = path.resolve(testDir, 'inherit-templates');
+  const internalDir = path.join(inheritTemplates, 'fe/react-internal');
+  const writeInternalTemplate = (instructions, manifest = {}) => {
+    fs.outputJsonSync(path.join(internalDir, 'template.json'), {
+      name: 'React (Internal)',
+      description: 'fe/react with the Acme design system',
+      extends: 'fe/react',
+      variables: { TOKENS_PACKAGE: { description: 'Design token package', default: '@acme/tokens' } },
+      ...manifest
+    });
+    fs.outputFileSync(path.join(internalDir, 'instructions.md'), instructions.join('\n'));
+    pkg.clearRegistryCache();
+  };
+  
+  await asyncTest('A template can extend another and override, append to or remove its sections', async () => {
+    writeInternalTemplate([
+      '<!-- @override -design-system -->',
+      '## 🎨 Design System - Acme',
+      '',
+      'Use the components and tokens from `{{TOKENS_PACKAGE}}`.',
+      '',
+      '<!-- @append -testing-strategy -->',
+      '### Visual Regression',
+      'Every story is snapshot-tested.',
+      '',
+      '<!-- @remove -additional-resources -->'
+    ]);
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = inheritTemplates;
+    try {
+      const result = await pkg.generatePRD('fe', 'react-internal', path.join(testDir, 'inherit-project'), { variables: { PACKAGE_MANAGER: 'pnpm' } });
+      const content = fs.readFileSync(result.path, 'utf-8');
+      const testing = content.slice(content.indexOf('## 🧪 Testing Strategy'), content.indexOf('## 🚀 Performance Optimization'));
+      const info = pkg.getTemplateInfo('fe', 'react-internal');
+      return content.startsWith('# Frontend Development Instructions - React Application\n') &&
+        content.includes('## 🎨 Design System - Acme\n\nUse the components and tokens from `@acme/tokens`.\n\n## 🏗️ Project Structure') &&
+        !content.includes('Deep Olive Green') && !content.includes('## 📚 Additional Resources') &&
+        testing.includes('### Visual Regression\nEvery story is snapshot-tested.') &&
+        content.includes('pnpm create react-app') &&
+        info.extends === 'fe/react' && info.variables.PACKAGE_MANAGER.default === 'yarn' &&
+        info.sections.find(section => section.anchor === '-testing-strategy').priority === 'medium' &&
+        pkg.lintTemplates(inheritTemplates)[0].problems.length === 0;
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Inheritance errors name the template and line', async () => {
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = inheritTemplates;
+    const attempt = async () => {
+      try {
+        await pkg.generatePRD('fe', 'react-internal', testDir, { preview: true });
+        return 'rendered';
+      } catch (error) {
+        return error.message;
+      }
+    };
+    try {
+      writeInternalTemplate(['Intro.', '', '<!-- @override -design-token -->', 'Body.']);
+      const unknown = await attempt();
+      writeInternalTemplate(['## 🚀 Overview', 'Again.']);
+      const duplicate = await attempt();
+      writeInternalTemplate(['<!-- @override -overview -->', 'Body.'], { extends: 'fe/react-legacy' });
+      const missing = await attempt();
+      fs.outputJsonSync(path.join(inheritTemplates, 'fe/react-legacy/template.json'), { name: 'Legacy', description: 'Loops back', extends: 'fe/react-internal' });
+      fs.outputFileSync(path.join(inheritTemplates, 'fe/react-legacy/instructions.md'), '');
+      pkg.clearRegistryCache();
+      const cycle = await attempt();
+      fs.removeSync(path.join(inheritTemplates, 'fe/react-legacy'));
+      pkg.clearRegistryCache();
+      return unknown.includes('fe/react-internal/instructions.md:3 @override -design-token: fe/react has no ## section with that anchor') &&
+        duplicate.includes('instructions.md:1 "## 🚀 Overview" is already a section of fe/react; use <!-- @override -overview -->') &&
+        missing.includes('Template fe/react-internal extends fe/react-legacy, which is not installed') &&
+        cycle.includes('extends itself: fe/react-internal → fe/react-legacy → fe/react-internal');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Changing a parent template makes its children stale', async () => {
+    const familyTemplates = path.resolve(testDir, 'family-templates');
+    const familyDir = path.resolve(testDir, 'family-project');
+    fs.outputJsonSync(path.join(familyTemplates, 'docs/base/template.json'), { name: 'Base', description: 'Shared rules' });
+    fs.outputFileSync(path.join(familyTemplates, 'docs/base/instructions.md'), '# Rules\n\n## Style\n\nBe brief.\n');
+    fs.outputJsonSync(path.join(familyTemplates, 'docs/team/template.json'), { name: 'Team', description: 'Team rules', extends: 'docs/base' });
+    fs.outputFileSync(path.join(familyTemplates, 'docs/team/instructions.md'), '<!-- @append style -->\nUse British spelling.\n');
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = familyTemplates;
+    try {
+      const { content } = await pkg.generatePRD('docs', 'team', familyDir);
+      const fresh = (await pkg.findStaleOutputs(familyDir))[0].stale;
+      fs.outputFileSync(path.join(familyTemplates, 'docs/base/instructions.md'), '# Rules\n\n## Style\n\nBe very brief.\n');
+      return content.startsWith('# Rules\n\n## Style\n\nBe brief.\n\nUse British spelling.\n') &&
+        !fresh && (await pkg.findStaleOutputs(familyDir))[0].stale;
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test template partials
+  const partialTemplates = path.resolve(testDir, 'partial-templates');
+  const otherPartials = path.resolve(testDir, 'other-partials');
+  const writeApiTemplate = (instructions) => {
+    fs.outputJsonSync(path.join(partialTemplates, 'be/api/template.json'), {
+      name: 'API',
+      description: 'Shared security guidance',
+      variables: { FRAMEWORK: { description: 'Web framework', default: 'Express' } },
+      features: { cors: { description: 'Cross-origin requests', default: true } }
+    });
+    fs.outputFileSync(path.join(partialTemplates, 'be/api/instructions.md'), instructions.join('\n'));
+  };
+  fs.outputFileSync(path.join(partialTemplates, 'partials/security/headers.md'), [
+    '## Security Headers',
+    '',
+    'Set them in {{FRAMEWORK}} middleware.',
+    '<!-- @include-if cors -->',
+    '<!-- @include security/cors -->',
+    '<!-- @end -->'
+  ].join('\n'));
+  fs.outputFileSync(path.join(partialTemplates, 'partials/security/cors.md'), 'Allow known origins only.\n');
+  fs.outputFileSync(path.join(otherPartials, 'partials/security/cors.md'), 'Allow every origin.\n');
+  
+  await asyncTest('Templates include partials, which use their variables and features', async () => {
+    writeApiTemplate(['# API', '', '<!-- @include security/headers -->', '', '## Errors', '', 'Return JSON.']);
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = [partialTemplates, otherPartials].join(path.delimiter);
+    try {
+      const { content } = await pkg.generatePRD('be', 'api', testDir, { preview: true, variables: { FRAMEWORK: 'Koa' } });
+      const without = await pkg.generatePRD('be', 'api', testDir, { preview: true, features: { cors: false } });
+      return content.startsWith('# API\n\n## Security Headers\n\nSet them in Koa middleware.\nAllow known origins only.\n\n## Errors\n\nReturn JSON.\n') &&
+        !without.content.includes('origins') &&
+        pkg.lintTemplates(partialTemplates)[0].problems.length === 0;
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Built-in templates share their common guidance through partials', async () => {
+    const render = async id => (await pkg.generatePRD(...id.split('/'), testDir, { preview: true })).content;
+    const [express, django, workflows] = await Promise.all(['be/node-express', 'be/python-django', 'github/workflows'].map(render));
+    const shared = fs.readFileSync(path.join(__dirname, 'templates/partials/git/commits.md'), 'utf-8').trim();
+    return [express, django].every(content => content.includes('Every protected endpoint follows the same token flow') &&
+        content.includes('Errors reach clients through one central handler') && content.includes('### Security Headers\n\nEvery response carries')) &&
+      [express, django, workflows].every(content => content.includes(shared)) &&
+      !express.includes('@include');
+  });
+  
+  await asyncTest('The frontend templates take spacing, accessibility and testing from the abstract fe/base', async () => {
+    const render = async id => (await pkg.generatePRD(...id.split('/'), testDir, { preview: true })).content;
+    const [react, vanilla] = await Promise.all(['fe/react', 'fe/vanilla'].map(render));
+    const shared = ['**Strict 4pt spacing system**', '### CSS Custom Properties', '## ♿ Accessibility\n\n### Core Principles', '### E2E Testing'];
+    const before = (content, first, second) => content.indexOf(first) !== -1 && content.indexOf(first) < content.indexOf(second);
+    return [react, vanilla].every(content => shared.every(text => content.split(text).length === 2)) &&
+      ['react', 'vanilla'].every(name => pkg.getTemplateInfo('fe', name).extends === 'fe/base') &&
+      pkg.getTemplateInfo('fe', 'base').abstract === true && !pkg.getAvailableTemplates().includes('fe/base') &&
+      pkg.searchTemplates('frontend').every(result => result.id !== 'fe/base') &&
+      runCli(['generate', 'fe/base', '--dry-run', '--out', testDir]).stderr.includes('fe/base is abstract: it is only there to be extended') &&
+      before(react, '## 🔧 Setup Instructions', '## 📐 Spacing and CSS Variables') &&
+      before(react, '## ♿ Accessibility', '## ♿ React Aria Integration') &&
+      before(react, '### E2E Testing', '### 1. Setup Testing Dependencies') &&
+      before(vanilla, '## Component Architecture', '## 📐 Spacing and CSS Variables') &&
+      before(vanilla, '### Core Principles', '### Implementation') &&
+      !fs.readFileSync(path.join(__dirname, 'templates/fe/vanilla/instructions.md'), 'utf-8').includes('### Unit Testing');
+  });
+  
+  await asyncTest('Include directives inside code fences are kept as examples', async () => {
+    writeApiTemplate(['# API', '', '```markdown', '<!-- @include security/csp -->', '```', '', '<!-- @include security/headers -->']);
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = partialTemplates;
+    try {
+      const { content } = await pkg.generatePRD('be', 'api', testDir, { preview: true });
+      return content.includes('```markdown\n<!-- @include security/csp -->\n```') &&
+        content.includes('## Security Headers') &&
+        pkg.lintTemplates(partialTemplates)[0].problems.every(problem => problem.rule !== 'partials');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Include errors name the including file and line', async () => {
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = partialTemplates;
+    const attempt = async () => {
+      try {
+        await pkg.generatePRD('be', 'api', testDir, { preview: true });
+        return 'rendered';
+      } catch (error) {
+        return error.message;
+      }
+    };
+    const corsFile = path.join(partialTemplates, 'partials/security/cors.md');
+    try {
+      writeApiTemplate(['# API', '', '<!-- @include security/csp -->']);
+      const missing = await attempt();
+      writeApiTemplate(['# API', '<!-- @include ../secrets -->']);
+      const invalid = await attempt();
+      writeApiTemplate(['# API', '', '<!-- @include security/headers -->']);
+      fs.outputFileSync(corsFile, 'Allow known origins only.\n<!-- @include security/headers -->\n');
+      const cycle = await attempt();
+      const lint = pkg.lintTemplates(partialTemplates)[0].problems;
+      return missing.includes('be/api/instructions.md:3 @include security/csp: no partials/security/csp.md in the template roots') &&
+        invalid.includes('instructions.md:2 @include expects a partial name') &&
+        cycle.includes('partials/security/cors.md:2 @include security/headers is circular: security/headers → security/cors → security/headers') &&
+        lint.some(problem => problem.rule === 'partials' && problem.message.includes('cors.md:2 @include security/headers is circular'));
+    } finally {
+      fs.outputFileSync(corsFile, 'Allow known origins only.\n');
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  await asyncTest('Changing a partial makes the templates including it stale', async () => {
+    const partialProject = path.resolve(testDir, 'partial-project');
+    const headersFile = path.join(partialTemplates, 'partials/security/headers.md');
+    const headers = fs.readFileSync(headersFile, 'utf-8');
+    writeApiTemplate(['# API', '', '<!-- @include security/headers -->']);
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = partialTemplates;
+    try {
+      await pkg.generatePRD('be', 'api', partialProject);
+      const fresh = (await pkg.findStaleOutputs(partialProject))[0].stale;
+      fs.outputFileSync(headersFile, headers.replace('middleware', 'configuration'));
+      return !fresh && (await pkg.findStaleOutputs(partialProject))[0].stale;
+    } finally {
+      fs.outputFileSync(headersFile, headers);
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test drift checks
+  const checkDir = path.resolve(testDir, 'check-project');
+  
+  test('CLI check passes when the instructions match and fails with a diff when edited', () => {
+    runCli(['generate', 'be/python-django', '--without', 'celery', '--out', checkDir]);
+    const clean = runCli(['check', 'be/python-django', '--without', 'celery', '--out', checkDir]);
+    const file = path.join(checkDir, '.github/instructions.md');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('# ', '# Hand-edited: '));
+    const edited = runCli(['check', 'be/python-django', '--without', 'celery', '--out', checkDir]);
+    return clean.status === 0 && clean.stdout.includes('.github/instructions.md is up to date') &&
+      edited.status === 1 &&
+      edited.stdout.includes('--- .github/instructions.md (committed)') &&
+      edited.stdout.includes('+++ .github/instructions.md (generated)') &&
+      /^-# Hand-edited: /m.test(edited.stdout);
+  });
+  
+  await asyncTest('checkInstructions reports edited and missing target files', async () => {
+    const results = await pkg.checkInstructions(['be/python-django'], checkDir, { targets: ['github', 'claude'] });
+    return results.length === 2 &&
+      results[0].status === 'modified' && /^\+# Python Django/m.test(results[0].diff) &&
+      results[1].file === 'CLAUDE.md' && results[1].status === 'missing';
+  });
+  
+  // Test template linting
+  test('Bundled templates pass lint-template without problems', () => {
+    const results = pkg.lintTemplates('templates');
+    return results.length === 6 && results.every(result => result.problems.length === 0);
+  });
+  
+  test('CLI lint-template reports broken templates with file and line', () => {
+    const brokenDir = path.resolve(testDir, 'lint-templates/docs/broken');
+    fs.outputJsonSync(path.join(brokenDir, 'template.json'), {
+      name: 'Broken',
+      description: 'A template with mistakes',
+      variables: { TEAM: { default: 'core' } }
+    });
+    fs.outputFileSync(path.join(brokenDir, 'instructions.md'), [
+      '# Broken',
+      'Owned by {{OWNER}}, see [rules](#ruels).',
+      '',
+      '## Rules',
+      '<!-- @section rules -->',
+      '',
+      '## More Rules',
+      '<!-- @section rules -->',
+      '',
+      '```bash',
+      'npm test'
+    ].join('\n'));
+    const { status, stdout } = runCli(['lint-template', path.dirname(brokenDir), '--max-section-lines', '2']);
+    const json = JSON.parse(runCli(['lint-template', brokenDir, '--json']).stdout);
+    const rules = json[0].problems.map(problem => `${problem.rule}:${problem.line}`);
+    return status === 1 && stdout.includes('❌ docs/broken') &&
+      stdout.includes('instructions.md:2  error   {{OWNER}} is not declared in template.json') &&
+      stdout.includes('link to "#ruels" does not match any heading') &&
+      stdout.includes('instructions.md:10  error   code fence is never closed') &&
+      stdout.includes('section "More Rules" has 5 lines, over the budget of 2') &&
+      ['anchors:2', 'placeholders:2', 'sections:8', 'fences:10', 'placeholders:null'].every(rule => rules.includes(rule));
+  });
+  
+  test('CLI lint-template reports code blocks that do not parse', () => {
+    const codeDir = path.resolve(testDir, 'lint-templates/docs/code');
+    fs.outputJsonSync(path.join(codeDir, 'template.json'), {
+      name: 'Code',
+      description: 'Examples in several languages',
+      variables: { NODE_VERSION: { default: '20' } }
+    });
+    fs.outputFileSync(path.join(codeDir, 'instructions.md'), [
+      '# Code',
+      '',
+      '```typescript',
+      'export const Button = ({ label }: { label: string }) => <button>{label}</button>;',
+      'const broken: number = ;',
+      '```',
+      '',
+      '```json',
+      '{ "node": "{{NODE_VERSION}}", }',
+      '```',
+      '',
+      '```yaml',
+      'node-version: {{NODE_VERSION}}',
+      'steps: [checkout',
+      '```',
+      '',
+      '```python',
+      'def handler(:',
+      '    pass',
+      '```',
+      '',
+      '```bash',
+      'if then fi',
+      '```'
+    ].join('\n'));
+    const { status, stdout } = runCli(['lint-template', codeDir, '--json']);
+    const problems = JSON.parse(stdout)[0].problems.filter(problem => problem.rule === 'code');
+    const lines = problems.filter(problem => problem.severity === 'error').map(problem => problem.line);
+    const python = problems.some(problem => problem.line === 18 && problem.message.startsWith('python code block')) ||
+      problems.some(problem => problem.message.includes('python code blocks were not checked'));
+    return status === 1 && lines.includes(5) && lines.includes(9) && lines.includes(14) &&
+      !lines.includes(13) && !lines.some(line => line > 20) && python &&
+      problems[0].message.startsWith('typescript code block: ');
+  });
+  
+  // Test token budgets
+  test('getTemplateInfo estimates tokens per section with their priorities', () => {
+    const info = pkg.getTemplateInfo('fe', 'react');
+    const testing = info.sections.find(section => section.anchor === '-testing-strategy');
+    const sum = info.sections.reduce((total, section) => total + section.chars, 0);
+    return info.tokens === Math.ceil(info.chars / 4) && sum <= info.chars &&
+      testing.priority === 'medium' && testing.tokens > 0 &&
+      info.sections.find(section => section.anchor === '-overview').priority === 'high';
+  });
+  
+  await asyncTest('maxTokens drops low-priority sections first and is recorded for check', async () => {
+    const budgetDir = path.resolve(testDir, 'budget-project');
+    const maxTokens = pkg.getTemplateInfo('fe', 'react').tokens - 200;
+    await pkg.generatePRD('fe', 'react', budgetDir, { maxTokens });
+    const content = fs.readFileSync(path.join(budgetDir, '.github/instructions.md'), 'utf-8');
+    const record = await fs.readJson(path.join(budgetDir, '.clean-vibe/generations.json'));
+    const results = await pkg.checkInstructions(['fe/react'], budgetDir, { maxTokens });
+    return !content.includes('## 📚 Additional Resources') && !content.includes('## 🔧 Maintenance') &&
+      content.includes('## 🧪 Testing Strategy') && content.includes('## 🚀 Overview') &&
+      record.generations[0].options.maxTokens === maxTokens &&
+      results[0].status === 'ok';
+  });
+  
+  test('CLI --max-tokens reports dropped sections and an unreachable budget', () => {
+    const { status, stdout } = runCli(['generate', 'be/node-express', '--max-tokens', '1000', '--out', path.resolve(testDir, 'budget-cli')]);
+    return status === 0 && /instructions\.md \(~\d+ tokens\)/.test(stdout) &&
+      stdout.includes('Dropped 3 section(s) to fit 1000 tokens:') &&
+      stdout.includes('- Deployment (be/node-express, low priority, ~') &&
+      stdout.includes('over the budget of 1000') &&
+      runCli(['generate', 'be/node-express', '--max-tokens', 'lots']).stderr.includes('expects a positive whole number');
+  });
+  
+  await asyncTest('maxTokens drops sections by position and counts the stamp like the written file', async () => {
+    const { trimToBudget } = require('./lib/tokens');
+    const content = '# Notes\n\n## Tips\n\nFirst.\n\n## Tips\n\nSecond.\n';
+    const layer = { id: 'x/notes', content, priorities: { tips: { priority: 'low' } } };
+    const trimmed = await trimToBudget([layer], layers => layers[0].content, 10);
+    const result = await pkg.generatePRD('fe', 'react', path.resolve(testDir, 'budget-stamp'), { maxTokens: 2000 });
+    return trimmed.removed.length === 1 && trimmed.layers[0].content.includes('First.') &&
+      !trimmed.layers[0].content.includes('Second.') &&
+      result.files[0].tokens === result.files[0].budget.tokens;
+  });
+  
+  // Test dry runs
+  const previewDir = path.resolve(testDir, 'preview-project');
+  
+  await asyncTest('preview returns the rendered files and diffs without writing', async () => {
+    const fresh = await pkg.generatePRD('fe', 'react', previewDir, { preview: true, scaffold: true, targets: ['github', 'claude'] });
+    const nothingWritten = !fs.existsSync(previewDir);
+    await pkg.generatePRD('fe', 'react', previewDir);
+    const file = path.join(previewDir, '.github/instructions.md');
+    fs.appendFileSync(file, '\nLocal note.\n');
+    const edited = await pkg.composePRD(['fe/react', 'be/node-express'], previewDir, { preview: true });
+    return nothingWritten && fresh.preview &&
+      fresh.content.startsWith('# Frontend Development Instructions - React') && fresh.documents.length === 1 &&
+      fresh.files.map(result => `${result.file}:${result.status}`).join() === '.github/instructions.md:created,CLAUDE.md:created' &&
+      fresh.files[0].diff.includes('+++ .github/instructions.md (generated)') &&
+      fresh.scaffold.length > 0 && fresh.scaffold.every(result => result.status === 'created') &&
+      edited.files[0].status === 'conflict' && edited.files[0].diff.includes('-Local note.') &&
+      fs.readFileSync(file, 'utf-8').endsWith('Local note.\n') &&
+      (await fs.readJson(path.join(previewDir, '.clean-vibe/generations.json'))).generations[0].templates.length === 1;
+  });
+  
+  await asyncTest('dryRun writes nothing, like preview', async () => {
+    const dryDir = path.resolve(testDir, 'api-dry-run-project');
+    const result = await pkg.generatePRD('fe', 'react', dryDir, { dryRun: true, scaffold: true, designTokens: true, formats: 'json' });
+    return result.preview && !fs.existsSync(dryDir) && result.files[0].status === 'created' &&
+      result.scaffold.length > 0 && result.designTokens.length > 0 && result.formats.length === 1;
+  });
+  
+  test('CLI --dry-run prints the planned files and diffs and writes nothing', () => {
+    const dryDir = path.resolve(testDir, 'dry-run-project');
+    const { status, stdout } = runCli(['generate', 'fe/vanilla', '--dry-run', '--target', 'cursor', '--out', dryDir]);
+    return status === 0 && !fs.existsSync(dryDir) &&
+      stdout.includes('+ create    .cursor/rules/vanilla.mdc') &&
+      stdout.includes('+++ .cursor/rules/vanilla.mdc (generated)') &&
+      stdout.includes('+# Vanilla Frontend Development Instructions') &&
+      stdout.includes('Dry run: nothing was written');
+  });
+  
+  // Test generation results and hooks
+  const hooksDir = path.resolve(testDir, 'hooks-project');
+  
+  await asyncTest('generatePRD describes templates, variables, files, warnings and timing', async () => {
+    const result = await pkg.generatePRD('be', 'node-express', hooksDir, { variables: { NODE_VERSION: '20' }, maxTokens: 1000 });
+    const [template] = result.templates;
+    return result.path === path.join(hooksDir, '.github/instructions.md') && !result.preview &&
+      template.id === 'be/node-express' && template.version === '1.0.0' &&
+      template.variables.NODE_VERSION === '20' && template.features.redis === true &&
+      result.files.length === 1 && result.files[0].status === 'created' &&
+      result.warnings.some(warning => warning.includes('over the budget of 1000')) &&
+      result.timing.total >= result.timing.render && result.timing.write >= 0;
+  });
+  
+  await asyncTest('generatePRD hooks can override options, post-process content and veto writes', async () => {
+    const seen = [];
+    const result = await pkg.generatePRD('be', 'node-express', hooksDir, {
+      targets: ['github', 'claude'],
+      hooks: {
+        beforeRender: () => ({ variables: { NODE_VERSION: '22' } }),
+        afterRender: async ({ documents }) => documents.map(document => ({ ...document, content: `<!-- reviewed -->\n${document.content}` })),
+        beforeWrite: ({ target, content }) => (target === 'claude' ? false : content.replace('FROM node:22-alpine', 'FROM node:22-slim')),
+        afterWrite: written => seen.push(`${written.file}:${written.status}`)
+      }
+    });
+    const content = fs.readFileSync(result.path, 'utf-8');
+    const record = await fs.readJson(path.join(hooksDir, '.clean-vibe/generations.json'));
+    return content.startsWith('<!-- reviewed -->\n') && content.includes('FROM node:22-slim') &&
+      !fs.existsSync(path.join(hooksDir, 'CLAUDE.md')) &&
+      seen.join() === '.github/instructions.md:updated,CLAUDE.md:vetoed' &&
+      record.generations.length === 1 && record.generations[0].files.join() === '.github/instructions.md' &&
+      result.templates[0].variables.NODE_VERSION === '22';
+  });
+  
   // Test error handling
   await asyncTest('generatePRD throws error for invalid category', async () => {
     try {
@@ -131,6 +1259,260 @@ async function runTests() {
     }
   });
   
+  // Test CLI commands
+  test('CLI --version prints the package version', () => {
+    const { status, stdout } = runCli(['--version']);
+    return status === 0 && stdout.trim() === require('./package.json').version;
+  });
+  
+  test('CLI --help prints usage without prompting', () => {
+    const { status, stdout } = runCli(['--help']);
+    return status === 0 && stdout.includes('clean-vibe generate <category/template>');
+  });
+  
+  test('CLI list --json returns every template', () => {
+    const { status, stdout } = runCli(['list', '--json']);
+    const ids = JSON.parse(stdout).map(t => t.id);
+    return status === 0 && ids.length === 5 && ids.includes('be/node-express');
+  });
+  
+  test('CLI info prints template details', () => {
+    const { status, stdout } = runCli(['info', 'be/node-express', '--json']);
+    const info = JSON.parse(stdout);
+    return status === 0 && info.template === 'Node.js + Express';
+  });
+  
+  // Test template search
+  test('searchTemplates ranks name matches first and tolerates typos', () => {
+    const react = pkg.searchTemplates('react');
+    const redis = pkg.searchTemplates('redis').map(result => result.id);
+    return react[0].id === 'fe/react' && react[0].matches.includes('name') &&
+      pkg.searchTemplates('djngo')[0].id === 'be/python-django' &&
+      redis.join() === 'be/node-express,be/python-django' &&
+      pkg.searchTemplates('react redis').length === 0 &&
+      pkg.searchTemplates('').length === 5;
+  });
+  
+  test('searchTemplates filters by tags and rejects unknown filters', () => {
+    const docker = pkg.searchTemplates('', { deployment: 'docker', language: ['Python', 'yaml'] }).map(result => result.id);
+    try {
+      pkg.searchTemplates('react', { colour: 'red' });
+      return 'Should have thrown error';
+    } catch (error) {
+      return docker.join() === 'be/python-django,github/workflows' &&
+        pkg.getTemplateInfo('fe', 'react').tags.framework.includes('react') &&
+        error.message.includes('Unknown filter "colour"');
+    }
+  });
+  
+  test('CLI search prints matching templates with their tags', () => {
+    const { status, stdout } = runCli(['search', 'postgres', '--framework', 'django']);
+    const json = JSON.parse(runCli(['search', 'workflow', '--json']).stdout);
+    return status === 0 && stdout.includes('1 template(s) matching "postgres", framework django') &&
+      stdout.includes('be/python-django') && !stdout.includes('be/node-express') &&
+      stdout.includes('database: postgresql, redis') &&
+      json[0].id === 'github/workflows' && json[0].score > 0;
+  });
+  
+  test('CLI generate writes instructions to --out', () => {
+    const outDir = path.join(testDir, 'cli-out');
+    const { status } = runCli(['generate', 'fe/react', '--out', outDir]);
+    const content = fs.readFileSync(path.join(outDir, '.github/instructions.md'), 'utf-8');
+    return status === 0 && content.includes('React Application');
+  });
+  
+  test('CLI generate composes several templates', () => {
+    const outDir = path.join(testDir, 'cli-compose');
+    const { status } = runCli(['generate', 'fe/react+be/node-express', '--out', outDir]);
+    const content = fs.readFileSync(path.join(outDir, '.github/instructions.md'), 'utf-8');
+    return status === 0 && content.includes('<!-- clean-vibe:layer be/node-express -->');
+  });
+  
+  test('CLI generate --answers fails on an invalid answers file', () => {
+    const answersFile = path.join(testDir, 'cli-answers.json');
+    fs.outputFileSync(answersFile, '{"projectName": "Acme", "budget": 1}');
+    const { status, stderr } = runCli(['generate', 'fe/react', '--answers', answersFile, '--out', testDir]);
+    return status === 1 && stderr.includes(`${answersFile}:1:25 unknown key "budget"`);
+  });
+  
+  test('CLI generate --var sets template variables', () => {
+    const outDir = path.join(testDir, 'cli-vars');
+    const { status } = runCli(['generate', 'be/node-express', '--var', 'NODE_VERSION=20', '--var', 'PROJECT_NAME=api', '--out', outDir]);
+    const content = fs.readFileSync(path.join(outDir, '.github/instructions.md'), 'utf-8');
+    return status === 0 && content.includes('FROM node:20-alpine') && content.includes('mkdir api && cd api');
+  });
+  
+  test('CLI generate rejects malformed --var values', () => {
+    const { status, stderr } = runCli(['generate', 'fe/react', '--var', 'lower=1', '--out', testDir]);
+    return status === 1 && stderr.includes('Invalid variable "lower=1"');
+  });
+  
+  test('CLI generate --without disables template features', () => {
+    const outDir = path.join(testDir, 'cli-features');
+    const { status } = runCli(['generate', 'be/python-django', '--without', 'celery', '--out', outDir]);
+    const content = fs.readFileSync(path.join(outDir, '.github/instructions.md'), 'utf-8');
+    return status === 0 &&
+      !content.includes('## Background Tasks with Celery') &&
+      !content.includes('celery-beat') &&
+      content.includes('- **Redis** - Cache backend\n');
+  });
+  
+  test('CLI generate --scaffold reports created and kept files', () => {
+    const outDir = path.join(testDir, 'cli-scaffold');
+    fs.outputFileSync(path.join(outDir, 'package.json'), '{"name": "mine"}');
+    const { status, stdout } = runCli(['generate', 'fe/react', '--scaffold', '--out', outDir]);
+    return status === 0 &&
+      /created\s+src\/router\/index.ts/.test(stdout) &&
+      /kept\s+package.json/.test(stdout) &&
+      fs.readJsonSync(path.join(outDir, 'package.json')).name === 'mine';
+  });
+  
+  test('CLI generate fails without a template id when not in a TTY', () => {
+    const { status, stderr } = runCli(['generate']);
+    return status === 1 && stderr.includes('Missing template id');
+  });
+  
+  test('CLI rejects unknown commands and options', () => {
+    return runCli(['frobnicate']).status === 1 && runCli(['list', '--bogus']).status === 1;
+  });
+  
+  // Test template registry
+  const extraTemplates = path.resolve(testDir, 'extra-templates');
+  fs.outputJsonSync(path.join(extraTemplates, 'docs/category.json'), { name: 'Documentation', description: 'Docs templates' });
+  fs.outputJsonSync(path.join(extraTemplates, 'docs/adr/template.json'), {
+    name: 'ADRs',
+    description: 'Architecture decision records',
+    variables: { PROJECT_NAME: { description: 'Project name', default: 'acme' } }
+  });
+  fs.outputFileSync(path.join(extraTemplates, 'docs/adr/instructions.md'), '# Decision Records for {{PROJECT_NAME}}\n');
+  
+  test('Built-in templates are discovered from template.json manifests', () => {
+    const registry = require('./lib/templates').loadRegistry();
+    return Object.keys(registry).join(',') === 'fe,be,github' &&
+      registry.be.children['node-express'].features.redis.default === true;
+  });
+  
+  await asyncTest('Templates from $CLEAN_VIBE_TEMPLATE_PATH are registered', async () => {
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = extraTemplates;
+    try {
+      const info = pkg.getTemplateInfo('docs', 'adr');
+      const result = await pkg.generatePRD('docs', 'adr', testDir);
+      return pkg.getAvailableTemplates().includes('docs/adr') &&
+        info.category === 'Documentation' &&
+        /^# Decision Records for acme\n\n<!-- clean-vibe:stamp docs\/adr#[0-9a-f]{12} -->\n$/.test(fs.readFileSync(result.path, 'utf-8'));
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  test('CLI lists templates from the user config templateDirs', () => {
+    fs.outputJsonSync(path.join(process.env.CLEAN_VIBE_HOME, 'config.json'), { templateDirs: [extraTemplates] });
+    try {
+      const { status, stdout } = runCli(['list', 'docs', '--json']);
+      return status === 0 && JSON.parse(stdout)[0].id === 'docs/adr';
+    } finally {
+      fs.removeSync(path.join(process.env.CLEAN_VIBE_HOME, 'config.json'));
+    }
+  });
+  
+  test('Invalid template manifests are skipped with a warning naming their path', () => {
+    const brokenTemplates = path.resolve(testDir, 'broken-templates');
+    const manifest = path.join(brokenTemplates, 'docs/adr/template.json');
+    fs.outputJsonSync(manifest, { name: 'ADRs' });
+    process.env.CLEAN_VIBE_TEMPLATE_PATH = brokenTemplates;
+    try {
+      const warnings = pkg.getRegistryWarnings();
+      const list = runCli(['list']);
+      const generate = runCli(['generate', 'docs/adr', '--dry-run', '--out', testDir]);
+      return pkg.getAvailableTemplates().includes('fe/react') &&
+        !pkg.getAvailableTemplates().includes('docs/adr') &&
+        warnings.length === 1 && warnings[0].includes(manifest) &&
+        warnings[0].includes('"description" must be a non-empty string') &&
+        list.status === 0 && list.stdout.includes('Skipped docs/adr') && list.stdout.includes('fe/react') &&
+        generate.status !== 0 && generate.stderr.includes('"description" must be a non-empty string');
+    } finally {
+      delete process.env.CLEAN_VIBE_TEMPLATE_PATH;
+    }
+  });
+  
+  // Test installed template sources
+  const sourcesDir = path.resolve(testDir, 'sources');
+  const git = (...args) => spawnSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: sourcesDir, encoding: 'utf-8' });
+  fs.copySync(extraTemplates, path.join(sourcesDir, 'work/templates'));
+  git('init', '-q', 'work');
+  git('-C', 'work', 'add', '-A');
+  git('-C', 'work', 'commit', '-qm', 'Add ADR template');
+  git('clone', '-q', '--bare', 'work', 'team.git');
+  
+  test('CLI template add installs templates from a bare git repository', () => {
+    const { status, stdout } = runCli(['template', 'add', path.join(sourcesDir, 'team.git')]);
+    const config = fs.readJsonSync(path.join(process.env.CLEAN_VIBE_HOME, 'config.json'));
+    return status === 0 && stdout.includes('Installed team (git') &&
+      config.sources[0].name === 'team' &&
+      fs.existsSync(path.join(process.env.CLEAN_VIBE_HOME, 'templates/team/templates/docs/adr/template.json')) &&
+      pkg.getAvailableTemplates().includes('docs/adr');
+  });
+  
+  test('CLI template update fetches new commits', () => {
+    fs.copySync(path.join(sourcesDir, 'work/templates/docs/adr'), path.join(sourcesDir, 'work/templates/docs/rfc'));
+    git('-C', 'work', 'add', '-A');
+    git('-C', 'work', 'commit', '-qm', 'Add RFC template');
+    git('-C', 'work', 'push', '-q', '../team.git', 'HEAD');
+    const { status, stdout } = runCli(['template', 'update', 'team']);
+    return status === 0 && stdout.includes('docs/adr, docs/rfc') && pkg.getAvailableTemplates().includes('docs/rfc');
+  });
+  
+  test('CLI template add refuses to install the same name twice', () => {
+    const { status, stderr } = runCli(['template', 'add', path.join(sourcesDir, 'team.git')]);
+    return status === 1 && stderr.includes('Template source "team" is already installed');
+  });
+  
+  await asyncTest('addTemplateSource installs an npm package tarball', async () => {
+    const packageDir = path.join(sourcesDir, 'tarball/package');
+    fs.outputJsonSync(path.join(packageDir, 'package.json'), { name: '@acme/ops-templates', version: '2.1.0' });
+    fs.copySync(path.join(extraTemplates, 'docs/adr'), path.join(packageDir, 'templates/ops/runbook'));
+    spawnSync('tar', ['-czf', 'ops.tgz', 'package'], { cwd: path.dirname(packageDir) });
+    const source = await pkg.addTemplateSource(path.join(sourcesDir, 'tarball/ops.tgz'));
+    return source.name === 'acme-ops-templates' && source.type === 'npm' &&
+      source.version === '2.1.0' && source.templates.join() === 'ops/runbook' &&
+      pkg.getAvailableTemplates('ops').includes('runbook');
+  });
+  
+  await asyncTest('addTemplateSource copies a local directory under a custom name', async () => {
+    const source = await pkg.addTemplateSource(extraTemplates, { name: 'local-docs' });
+    return source.type === 'local' && source.root === '' && pkg.listTemplateSources().length === 3;
+  });
+  
+  await asyncTest('addTemplateSource rejects sources without manifests', async () => {
+    try {
+      await pkg.addTemplateSource(path.join(sourcesDir, 'tarball'), { name: 'empty' });
+      return 'Should have thrown error';
+    } catch (error) {
+      return error.message.includes('No templates found') &&
+        fs.readdirSync(path.join(process.env.CLEAN_VIBE_HOME, 'templates')).every(name => !name.startsWith('.staging'));
+    }
+  });
+  
+  test('CLI template remove unregisters a source', () => {
+    const removed = ['team', 'acme-ops-templates', 'local-docs'].every(name => runCli(['template', 'remove', name]).status === 0);
+    return removed && !pkg.getAvailableCategories().includes('docs') &&
+      !fs.existsSync(path.join(process.env.CLEAN_VIBE_HOME, 'templates/team')) &&
+      runCli(['template', 'remove', 'team']).status === 1;
+  });
+  
+  test('Repository URLs on git hosts are installed with git, other URLs with npm', () => {
+    const { parseSource } = require('./lib/sources');
+    const github = parseSource('https://github.com/acme/instructions#v2');
+    const gitlab = parseSource('https://gitlab.com/acme/platform/instructions');
+    const prefixed = parseSource('git+https://git.acme.dev/team/instructions');
+    const archive = parseSource('https://github.com/acme/instructions/archive/v2.tar.gz');
+    const other = parseSource('https://registry.acme.dev/instructions/-/instructions-1.0.0.tgz');
+    return github.type === 'git' && github.location === 'https://github.com/acme/instructions' && github.ref === 'v2' &&
+      gitlab.type === 'git' &&
+      prefixed.type === 'git' && prefixed.location === 'https://git.acme.dev/team/instructions' &&
+      archive.type === 'npm' && other.type === 'npm';
+  });
+  
   // Verify all template files exist
   const templates = [
     'templates/fe/react/instructions.md',